@@ -3,6 +3,18 @@
  * Tailored to CSV exports with Address1–4, Town, Postcode (e.g. customer/account sheets).
  */
 
+import { STREET_SUFFIXES, DIRECTIONALS, UNIT_DESIGNATORS, NUMBER_WORDS, ORDINAL_WORDS } from './usps.js';
+import {
+  COUNTRY_NAMES,
+  POSTCODE_ANYWHERE_RE,
+  countryCode,
+  matchPostcode,
+  regionCode,
+  regionCountry,
+  regionFromPostcode,
+  splitTrailingPostcode,
+} from './regions.js';
+
 const PATTERNS = {
   // P.O. Box, PO Box, P O Box, Post Office Box (with number); strip only the PO Box part
   poBox: /\bP\.?\s*O\.?\s*Box\s*\d+[^\n,]*|\bPost\s+Office\s+Box\s*\d+[^\n,]*/gi,
@@ -20,27 +32,436 @@ const PATTERNS = {
   leadingNameOnly: /^[\s]*[A-Za-z\.\'\-]+\s+[A-Za-z\.\'\-]+(?:\s+[A-Za-z\.\'\-]+)?(?:\s+[A-Za-z\.\'\-]+)?(?=\s*[\n,])/m,
 };
 
+/** Order in which PATTERNS are applied, with the text each match is replaced by. */
+const CLEANING_STEPS = [
+  ['poBox', ''],
+  ['careOf', ''],
+  ['attention', ''],
+  ['phone', ' '],
+  ['refNumber', ''],
+  ['leadingAttn', ''],
+  ['leadingNameOnly', ''],
+];
+
 /**
- * Clean a single address string.
- * @param {string} raw - Raw address (may contain names, PO Box, Attn, phone, etc.)
- * @returns {string} - Cleaned address suitable for geocoding
+ * Built-in cleaning rules in JSON form (the starting point for user-defined cleaning profiles).
+ * Rule shape: { name, pattern, flags, action: 'remove' | 'replace', replacement, enabled }
  */
-export function cleanAddress(raw) {
-  if (typeof raw !== 'string') return '';
-  let s = raw
-    .replace(PATTERNS.poBox, '')
-    .replace(PATTERNS.careOf, '')
-    .replace(PATTERNS.attention, '')
-    .replace(PATTERNS.phone, ' ')
-    .replace(PATTERNS.refNumber, '')
-    .replace(PATTERNS.leadingAttn, '')
-    .replace(PATTERNS.leadingNameOnly, '')
+export const DEFAULT_CLEANING_RULES = Object.freeze(
+  CLEANING_STEPS.map(([name, replacement]) => Object.freeze({
+    name,
+    pattern: PATTERNS[name].source,
+    flags: PATTERNS[name].flags,
+    action: replacement ? 'replace' : 'remove',
+    replacement,
+    enabled: true,
+  }))
+);
+
+const DEFAULT_COMPILED_RULES = CLEANING_STEPS.map(([rule, replacement]) => ({ rule, re: PATTERNS[rule], replacement }));
+const compiledRulesCache = new WeakMap();
+
+// Longest pattern a user-defined rule may have (the built-in ones are under 150 characters)
+export const MAX_RULE_PATTERN_LENGTH = 300;
+
+/** Length of the quantifier at `i` in a regex source, and whether it repeats without bound (`*`, `+`, `{n,}`). */
+function quantifierAt(source, i) {
+  const c = source[i];
+  if (c === '*' || c === '+') return { length: 1, unbounded: true };
+  if (c === '?') return { length: 1, unbounded: false };
+  const brace = c === '{' && /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+  if (brace) return { length: brace[0].length, unbounded: brace[2] != null && brace[3] === '' };
+  return null;
+}
+
+/**
+ * Whether a regex source repeats a group that itself contains an unbounded quantifier, as in `(a+)+` or `(?:\s*x)*`.
+ * Rules run synchronously on the server, and such patterns can backtrack for minutes on a short non-matching input,
+ * blocking every other request. Character classes and escapes are skipped so `[+*]` and `\+` don't count.
+ */
+function hasNestedQuantifier(source) {
+  const groups = [{ unbounded: false }];
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '[') {
+      for (i++; i < source.length && source[i] !== ']'; i++) if (source[i] === '\\') i++;
+    } else if (c === '(') {
+      groups.push({ unbounded: false });
+      if (source[i + 1] === '?') i++; // (?:, (?=, (?<name> – not a quantifier
+    } else if (c === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const q = quantifierAt(source, i + 1);
+      if (q?.unbounded && group.unbounded) return true;
+      groups[groups.length - 1].unbounded ||= group.unbounded;
+    } else {
+      const q = quantifierAt(source, i);
+      if (q) {
+        if (q.unbounded) groups[groups.length - 1].unbounded = true;
+        i += q.length - 1;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate user-defined cleaning rules and fill in defaults. Throws with a readable message on the first bad rule,
+ * including patterns that could backtrack without end (see hasNestedQuantifier) or are over MAX_RULE_PATTERN_LENGTH.
+ * @param {Object[]} rules - [{ name, pattern, flags?, action?, replacement?, enabled? }]
+ * @returns {Object[]} - Normalized rules (same shape as DEFAULT_CLEANING_RULES)
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('Rules must be an array');
+  return rules.map((r, i) => {
+    const name = String(r?.name ?? '').trim() || `rule${i + 1}`;
+    const pattern = String(r?.pattern ?? '');
+    const flags = String(r?.flags ?? 'gi');
+    const action = r?.action === 'replace' ? 'replace' : 'remove';
+    if (!pattern) throw new Error(`Rule "${name}": pattern is empty`);
+    if (!/^[gimsuy]*$/.test(flags)) throw new Error(`Rule "${name}": invalid flags "${flags}"`);
+    if (pattern.length > MAX_RULE_PATTERN_LENGTH) {
+      throw new Error(`Rule "${name}": pattern is longer than ${MAX_RULE_PATTERN_LENGTH} characters`);
+    }
+    if (hasNestedQuantifier(pattern)) {
+      throw new Error(`Rule "${name}": a repeated group can't contain *, + or {n,} (e.g. "(a+)+"); it can make matching hang`);
+    }
+    try {
+      new RegExp(pattern, flags);
+    } catch (e) {
+      throw new Error(`Rule "${name}": ${e.message}`);
+    }
+    return {
+      name,
+      pattern,
+      flags,
+      action,
+      replacement: action === 'replace' ? String(r.replacement ?? '') : '',
+      enabled: r?.enabled !== false,
+    };
+  });
+}
+
+/** Compile enabled rules to RegExps once per rules array. */
+function compileRules(rules) {
+  if (!rules) return DEFAULT_COMPILED_RULES;
+  let compiled = compiledRulesCache.get(rules);
+  if (!compiled) {
+    compiled = validateRules(rules)
+      .filter((r) => r.enabled)
+      .map((r) => ({ rule: r.name, re: new RegExp(r.pattern, r.flags), replacement: r.replacement }));
+    compiledRulesCache.set(rules, compiled);
+  }
+  return compiled;
+}
+
+const UNIT_DESIGNATOR_WORDS = Object.keys(UNIT_DESIGNATORS).filter((k) => k !== '#').join('|');
+// Units anywhere in the raw text, pulled out before cleaning so PATTERNS (e.g. phone) can't mangle them.
+// The identifier must start with a digit or be a letter with an optional number ("Suite 200", "Bldg B", "Ste A1",
+// "# 12"; not "Building Supply"). "#" must not follow a letter or digit so "V# 784355" reference numbers are left to
+// the refNumber rule.
+const UNIT_ANYWHERE_RE = new RegExp(
+  `(?:\\b(${UNIT_DESIGNATOR_WORDS})\\b\\.?\\s*#?\\s*|(?<![A-Za-z0-9])#\\s*)(?:\\d[A-Za-z0-9-]*|[A-Za-z](?:\\d+[A-Za-z]?)?(?![A-Za-z0-9]))`,
+  'gi'
+);
+// Designators that are also place names ("Pier 39", "Bus Stop 12"): a unit only right after a street suffix
+// ("100 Marina Dr Slip 12", "55 Park St, Lot 4")
+const SUFFIX_ONLY_UNITS = new Set(['LOT', 'PIER', 'SLIP', 'STOP']);
+const HOUSE_NUMBER_RE = /^\d+[A-Za-z]?(?:[-/]\d+[A-Za-z]?)?$/;
+
+/** Uppercase a token and drop periods so "Rd." and "RD" compare equal. */
+function token(s) {
+  return s.toUpperCase().replace(/\./g, '');
+}
+
+/**
+ * Swap postcodes (ZIP+4, Canadian, UK) for placeholders so cleaning rules can't strip parts of them
+ * (e.g. the phone rule eating "038-1234" out of "48038-1234").
+ * @param {string} raw
+ * @returns {{ text: string, restore: (s: string) => string }}
+ */
+function protectPostcodes(raw) {
+  const saved = [];
+  const text = raw.replace(POSTCODE_ANYWHERE_RE, (match) => {
+    saved.push(match);
+    return `\u0001${saved.length - 1}\u0002`;
+  });
+  const restore = (s) => s.replace(/\u0001(\d+)\u0002/g, (_, i) => saved[i]);
+  return { text, restore };
+}
+
+// Whether text ends in a street suffix word, ignoring trailing spaces and commas ("100 Marina Dr, ")
+function endsWithStreetSuffix(text) {
+  const last = text.match(/([A-Za-z.]+)[\s,]*$/);
+  return !!last && !!STREET_SUFFIXES[token(last[1])];
+}
+
+/**
+ * Pull suite/unit designators out of an address so they are kept separately and not sent to the geocoder.
+ * @param {string} raw
+ * @returns {{ text: string, unit: string }} - Address without units; units found, joined ("BLDG 2 STE 100" style, as written)
+ */
+function extractUnits(raw) {
+  const units = [];
+  const text = raw.replace(UNIT_ANYWHERE_RE, (match, designator, offset) => {
+    if (designator && SUFFIX_ONLY_UNITS.has(token(designator)) && !endsWithStreetSuffix(raw.slice(0, offset))) return match;
+    units.push(match.trim().replace(/\s+/g, ' '));
+    return ' ';
+  });
+  return { text, unit: units.join(' ') };
+}
+
+/**
+ * Apply cleaning rules in order (PATTERNS by default) and normalize whitespace/commas.
+ * @param {string} raw
+ * @param {Object[]} [rules] - Cleaning rules (see DEFAULT_CLEANING_RULES); built-in PATTERNS when omitted
+ * @returns {{ cleaned: string, removed: { rule: string, text: string }[] }} - Cleaned text plus an audit
+ *   record for every match: the rule that fired and the exact substring it removed
+ */
+function stripNoise(raw, rules) {
+  const removed = [];
+  let s = raw;
+  for (const { rule, re, replacement } of compileRules(rules)) {
+    s = s.replace(re, (match) => {
+      if (match.trim()) removed.push({ rule, text: match });
+      return replacement;
+    });
+  }
+  const cleaned = s
     // Normalize whitespace and commas
     .replace(/\s+/g, ' ')
+    .replace(/\s+,/g, ',')
     .replace(/,(\s*),/g, ',')
     .replace(/^\s*,\s*|\s*,\s*$/g, '')
     .trim();
-  return s;
+  return { cleaned, removed };
+}
+
+// Whether street tokens still hold a name once a trailing directional and suffix are set aside
+function hasStreetName(tokens) {
+  let end = tokens.length;
+  if (end && DIRECTIONALS[token(tokens[end - 1])]) end--;
+  if (end && STREET_SUFFIXES[token(tokens[end - 1])]) end--;
+  return end > 0;
+}
+
+/**
+ * Split a street line ("18620 N 16 Mile Rd") into number, directionals, name and suffix.
+ * @param {string} line
+ * @returns {Object} - Partial components (only the street fields)
+ */
+function parseStreetLine(line) {
+  const out = { houseNumber: '', preDirectional: '', streetName: '', streetSuffix: '', postDirectional: '' };
+  const tokens = line.trim().split(/\s+/).filter(Boolean);
+  if (tokens.length > 1 && HOUSE_NUMBER_RE.test(tokens[0])) out.houseNumber = tokens.shift();
+  // A leading directional is the street's name when nothing but a suffix follows it ("North St", "West Avenue")
+  if (tokens.length > 1 && DIRECTIONALS[token(tokens[0])] && hasStreetName(tokens.slice(1))) out.preDirectional = tokens.shift();
+  if (tokens.length > 1 && DIRECTIONALS[token(tokens[tokens.length - 1])]) out.postDirectional = tokens.pop();
+  if (tokens.length > 1 && STREET_SUFFIXES[token(tokens[tokens.length - 1])]) out.streetSuffix = tokens.pop();
+  out.streetName = tokens.join(' ');
+  return out;
+}
+
+/**
+ * Parse an address string into components. Suite/unit designators are pulled out into `unit` first (so they
+ * are not part of `cleaned`, the geocoder query), then noise (PO Box, Attn, c/o, phone, V#) is stripped with
+ * postcodes protected. Comma-separated parts are classified from the end (country, postcode, state) and the
+ * start (street line, city). US ZIP / ZIP+4, Canadian and UK postcodes are recognized and validated.
+ * @param {string} raw - Raw address, parts separated by commas (as produced by buildAddressFromRow)
+ * @param {{ rules?: Object[] }} [options] - `rules`: cleaning rules from a profile (default: built-in PATTERNS)
+ * @returns {{
+ *   houseNumber: string, preDirectional: string, streetName: string, streetSuffix: string,
+ *   postDirectional: string, unit: string, street: string, city: string, state: string,
+ *   postcode: string, country: string, other: string[], removed: { rule: string, text: string }[],
+ *   cleaned: string
+ * }} - `state` holds the state, province or county; `postcode` is in standard format ("48038-1234", "N9A 1A1",
+ *   "SW1A 1AA"); `country` is an ISO alpha-2 code, from a country name or the postcode format;
+ *   `other` holds parts that could not be classified (e.g. company names); `removed` is the cleaning audit
+ *   trail (which PATTERNS rule fired and the exact text it stripped)
+ */
+export function parseAddress(raw, options = {}) {
+  const { text: protectedText, restore } = protectPostcodes(typeof raw === 'string' ? raw : '');
+  const { text, unit } = extractUnits(protectedText);
+  const stripped = stripNoise(text, options.rules);
+  const cleaned = restore(stripped.cleaned);
+  const removed = stripped.removed.map((r) => ({ ...r, text: restore(r.text) }));
+  const out = {
+    houseNumber: '',
+    preDirectional: '',
+    streetName: '',
+    streetSuffix: '',
+    postDirectional: '',
+    unit,
+    street: '',
+    city: '',
+    state: '',
+    postcode: '',
+    country: '',
+    other: [],
+    removed,
+    cleaned,
+  };
+  const parts = cleaned.split(',').map((p) => p.trim()).filter(Boolean);
+
+  // Tail: country, postcode, state (any order, e.g. "..., 48038, MI", "..., MI 48038, USA",
+  // "..., ON N9A 1A1", "..., Manchester M1 1AE, UK")
+  let postcodeCountry = '';
+  while (parts.length) {
+    const last = parts[parts.length - 1];
+    const postcode = !out.postcode && matchPostcode(last);
+    const trailing = !out.postcode && !postcode && splitTrailingPostcode(last);
+    if (!out.country && countryCode(last)) {
+      out.country = countryCode(last);
+    } else if (postcode) {
+      out.postcode = postcode.postcode;
+      postcodeCountry = postcode.country;
+    } else if (regionCode(last) && (!out.state || regionCode(out.state) === regionCode(last))) {
+      out.state = out.state || last;
+    } else if (trailing) {
+      // "MI 48038" → state + postcode; "Manchester M1 1AE" → keep "Manchester" as the next part
+      out.postcode = trailing.postcode;
+      postcodeCountry = trailing.country;
+      if (regionCode(trailing.prefix) && !out.state) {
+        out.state = trailing.prefix;
+      } else {
+        parts[parts.length - 1] = trailing.prefix;
+        continue;
+      }
+    } else {
+      break;
+    }
+    parts.pop();
+  }
+  out.country = out.country || postcodeCountry || regionCountry(regionCode(out.state));
+
+  // Head: first part that starts with a house number is the street line
+  const streetIndex = parts.findIndex((p) => HOUSE_NUMBER_RE.test(p.split(/\s+/)[0]) && /\s/.test(p));
+  const remaining = [];
+  parts.forEach((p, i) => {
+    if (i === streetIndex) {
+      out.street = p;
+      Object.assign(out, parseStreetLine(p));
+    } else if (i > streetIndex || streetIndex === -1) {
+      remaining.push(p);
+    } else {
+      out.other.push(p);
+    }
+  });
+
+  // City follows the street line; anything after it is a county/region when no state was recognized.
+  // UK addresses without a street number usually still end "Town, County".
+  if (remaining.length) {
+    if (!out.state && remaining.length > 1 && out.country === 'GB' && streetIndex === -1) out.state = remaining.pop();
+    out.city = streetIndex === -1 ? remaining.pop() : remaining.shift();
+    if (!out.state && remaining.length && streetIndex !== -1) out.state = remaining.pop();
+    out.other.push(...remaining);
+  }
+  return out;
+}
+
+/** Uppercase, drop periods/commas and collapse whitespace. */
+function normText(s) {
+  return String(s ?? '').toUpperCase().replace(/[.,]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function ordinalSuffix(n) {
+  if (n % 100 >= 11 && n % 100 <= 13) return 'TH';
+  return { 1: 'ST', 2: 'ND', 3: 'RD' }[n % 10] || 'TH';
+}
+
+/** Spelled-out numbers in a street name → digits: "SIXTEEN MILE" → "16 MILE", "TWENTY-FIRST" → "21ST". */
+function numberWordsToDigits(words) {
+  const isNumberWord = (w) => NUMBER_WORDS[w] !== undefined || ORDINAL_WORDS[w] !== undefined;
+  const tokens = words.flatMap((w) => {
+    const halves = w.split('-');
+    return halves.length > 1 && halves.every(isNumberWord) ? halves : [w];
+  });
+  const out = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    const next = tokens[i + 1];
+    let n = null;
+    let ordinal = false;
+    if (NUMBER_WORDS[t] >= 20 && (NUMBER_WORDS[next] < 10 || ORDINAL_WORDS[next] < 10)) {
+      ordinal = ORDINAL_WORDS[next] !== undefined;
+      n = NUMBER_WORDS[t] + (ordinal ? ORDINAL_WORDS[next] : NUMBER_WORDS[next]);
+      i++;
+    } else if (NUMBER_WORDS[t] !== undefined) {
+      n = NUMBER_WORDS[t];
+    } else if (ORDINAL_WORDS[t] !== undefined) {
+      n = ORDINAL_WORDS[t];
+      ordinal = true;
+    }
+    out.push(n === null ? t : `${n}${ordinal ? ordinalSuffix(n) : ''}`);
+  }
+  return out;
+}
+
+/** "Suite 200" → "STE 200", "Apt. #4" → "APT 4", "#12" → "# 12", "Building B Suite 3" → "BLDG B STE 3" */
+function normalizeUnit(unit) {
+  const groups = normText(unit).match(/(?:[A-Z]+|#)\s*#?\s*[A-Z0-9-]+/g);
+  if (!groups) return normText(unit);
+  return groups
+    .map((g) => {
+      const [, designator, id] = g.match(/^([A-Z]+|#)\s*#?\s*(.*)$/);
+      return `${UNIT_DESIGNATORS[designator] || designator} ${id}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Normalize parsed components to USPS Publication 28 conventions: uppercase, no punctuation, standard
+ * suffix/directional/unit abbreviations, state codes, and spelled-out numbers in street names as digits.
+ * Safe to call on already-normalized components.
+ * @param {Object} components - Result of parseAddress
+ * @returns {Object} - Same shape with normalized values
+ */
+export function normalizeAddress(components) {
+  const c = components;
+  const state = normText(c.state);
+  return {
+    ...c,
+    houseNumber: normText(c.houseNumber),
+    preDirectional: DIRECTIONALS[normText(c.preDirectional)] || '',
+    streetName: numberWordsToDigits(normText(c.streetName).split(' ').filter(Boolean)).join(' '),
+    streetSuffix: STREET_SUFFIXES[normText(c.streetSuffix)] || normText(c.streetSuffix),
+    postDirectional: DIRECTIONALS[normText(c.postDirectional)] || '',
+    unit: c.unit ? normalizeUnit(c.unit) : '',
+    city: normText(c.city),
+    state: regionCode(state) || state,
+    postcode: normText(c.postcode),
+    other: (c.other || []).map(normText),
+  };
+}
+
+/**
+ * Canonical single-line form of an address, e.g. "18620 16 MILE RD, CLINTON TWP, MI 48038".
+ * "18620 16 Mile Rd.", "18620 SIXTEEN MILE ROAD" and "18620 16 MILE RD STE 2" all give the same result,
+ * so it is used as the geocode cache key and for duplicate detection.
+ * @param {Object} components - Result of parseAddress (normalized or not)
+ * @param {{ includeUnit?: boolean }} [options] - Keep the suite/unit in the street line (default false)
+ * @returns {string}
+ */
+export function canonicalAddress(components, { includeUnit = false } = {}) {
+  const n = normalizeAddress(components);
+  const street = [n.houseNumber, n.preDirectional, n.streetName, n.streetSuffix, n.postDirectional, includeUnit ? n.unit : '']
+    .filter(Boolean)
+    .join(' ');
+  // ZIP+4 and ZIP are the same place for dedupe/caching
+  const postcode = /^\d{5}-\d{4}$/.test(n.postcode) ? n.postcode.slice(0, 5) : n.postcode;
+  const region = [n.state, postcode].filter(Boolean).join(' ');
+  return [street || n.other.join(' '), n.city, region, n.country].filter(Boolean).join(', ');
+}
+
+/**
+ * Clean a single address string.
+ * @param {string} raw - Raw address (may contain names, PO Box, Attn, phone, etc.)
+ * @returns {string} - Cleaned address suitable for geocoding (suite/unit removed; see parseAddress for `unit`)
+ */
+export function cleanAddress(raw) {
+  if (typeof raw !== 'string') return '';
+  return parseAddress(raw).cleaned;
 }
 
 /** Default address part keys (same order as your CSV exports). */
@@ -54,7 +475,7 @@ const DEFAULT_ADDRESS_KEYS = ['Address1', 'Address2', 'Address3', 'Address4', 'T
  * @returns {string} - Combined address line
  */
 export function buildAddressFromRow(row, keys = DEFAULT_ADDRESS_KEYS, state = '') {
-  const parts = keys.map((k) => (row[k] ?? '').trim()).filter(Boolean);
+  const parts = keys.map((k) => String(row[k] ?? '').trim()).filter(Boolean);
   // Don't append state if it's already the last part (e.g. County is "MI" → avoid "..., 48726, MI, MI")
   if (state && parts[parts.length - 1] !== state) parts.push(state);
   return parts.join(', ');
@@ -74,14 +495,153 @@ export function cleanAddressColumn(rows, addressColumn) {
   });
 }
 
+/**
+ * Clean a single address string and report what was removed.
+ * @param {string} raw - Raw address
+ * @param {Object[]} [rules] - Cleaning rules from a profile (default: built-in PATTERNS)
+ * @returns {{ cleaned: string, unit: string, audit: { rule: string, text: string }[] }} - Cleaned address, the
+ *   suite/unit kept aside, and per matched rule the exact substring it removed (in the order the rules ran)
+ */
+export function cleanAddressWithAudit(raw, rules) {
+  if (typeof raw !== 'string') return { cleaned: '', unit: '', audit: [] };
+  const { cleaned, unit, removed } = parseAddress(raw, { rules });
+  return { cleaned, unit, audit: removed };
+}
+
+// Columns whose value is taken as the row's state/province (Sales-i puts the state in County)
+const STATE_COLUMN_RE = /^(?:state|province|state\/province|state\/county|county|region)$/i;
+const COUNTRY_COLUMN_RE = /^(?:country|country code|nation)$/i;
+
+/**
+ * Work out a row's country and state/province instead of assuming them.
+ * Country: a Country column, a country named in the address, the postcode format, or the state's country.
+ * State, in order of preference: a State/Province/County column, a state named in the address itself, the ZIP
+ * prefix or Canadian postal code, then `defaultState` (only for rows not known to be in another country).
+ * @param {Object} row - One CSV row
+ * @param {string[]} [keys] - Address columns
+ * @param {string} [defaultState] - Used only when nothing can be inferred
+ * @param {{ stateColumn?: string, countryColumn?: string }} [columns] - Columns mapped to state/country; when
+ *   omitted, columns are recognized by name (State, Province, County, Country…)
+ * @returns {{ state: string, stateSource: 'column' | 'address' | 'postcode' | 'default' | '', country: string }}
+ */
+export function resolveRowState(row, keys = DEFAULT_ADDRESS_KEYS, defaultState = '', columns = {}) {
+  const headers = Object.keys(row);
+  const countryColumns = columns.countryColumn ? [columns.countryColumn] : headers.filter((k) => COUNTRY_COLUMN_RE.test(k.trim()));
+  const stateColumns = columns.stateColumn ? [columns.stateColumn] : headers.filter((k) => STATE_COLUMN_RE.test(k.trim()));
+  let country = '';
+  for (const k of countryColumns) {
+    if (countryCode(row[k])) {
+      country = countryCode(row[k]);
+      break;
+    }
+  }
+  const result = (state, stateSource) => ({ state, stateSource, country: country || regionCountry(state) });
+
+  for (const k of stateColumns) {
+    const code = regionCode(row[k]);
+    if (code) return result(code, 'column');
+  }
+  const parts = keys.map((k) => String(row[k] ?? '').trim()).filter(Boolean);
+  const parsed = parseAddress(parts.join(', '));
+  if (regionCode(parsed.state)) return result(regionCode(parsed.state), 'address');
+  country = country || parsed.country;
+  for (const candidate of [parsed.postcode, ...parts.slice().reverse()]) {
+    const fromPostcode = candidate && regionFromPostcode(candidate);
+    if (!fromPostcode) continue;
+    country = country || fromPostcode.country;
+    if (fromPostcode.state && fromPostcode.country === country) return result(fromPostcode.state, 'postcode');
+    break;
+  }
+  if (defaultState && (!country || country === regionCountry(regionCode(defaultState)))) {
+    return result(defaultState, 'default');
+  }
+  return result('', '');
+}
+
+/**
+ * Build a row's address for the geocoder: the resolved state is appended when it isn't already in the text, and
+ * the country name for non-US rows (e.g. "..., M1 1AE, United Kingdom"). A row with all address columns blank gets
+ * an empty address, not just the default state, so it isn't geocoded to the middle of the state.
+ * @param {Object} row - One CSV row
+ * @param {string[]} [keys] - Address columns
+ * @param {string} [defaultState] - Fallback state (see resolveRowState)
+ * @param {{ stateColumn?: string, countryColumn?: string }} [columns] - See resolveRowState
+ * @returns {{ address: string, state: string, stateSource: string, country: string }}
+ */
+export function buildAddressForRow(row, keys = DEFAULT_ADDRESS_KEYS, defaultState = '', columns = {}) {
+  if (!keys.some((k) => String(row[k] ?? '').trim())) return { address: '', state: '', stateSource: '', country: '' };
+  const { state, stateSource, country } = resolveRowState(row, keys, defaultState, columns);
+  const append = stateSource === 'postcode' || stateSource === 'default';
+  let address = buildAddressFromRow(row, keys, append ? state : '');
+  const lastPart = address.split(',').pop();
+  if (COUNTRY_NAMES[country] && countryCode(lastPart) !== country) {
+    address = [address, COUNTRY_NAMES[country]].filter(Boolean).join(', ');
+  }
+  return { address, state, stateSource, country };
+}
+
 /**
  * Build full address from row, then clean it. Use when address is split across Address1–4, Town, Postcode.
  * @param {Object} row - One CSV row
  * @param {string[]} [keys] - Column names; default Address1–4, Town, County, Postcode
- * @param {string} [state] - State/country (e.g. "MI")
+ * @param {string} [state] - Default state, used only when none can be inferred from the row (e.g. "MI")
  * @returns {string} - Cleaned combined address
  */
 export function buildAndCleanAddress(row, keys = DEFAULT_ADDRESS_KEYS, state = 'MI') {
-  const raw = buildAddressFromRow(row, keys, state);
-  return cleanAddress(raw);
+  return cleanAddress(buildAddressForRow(row, keys, state).address);
+}
+
+/**
+ * Build full address from row and parse it into components (see parseAddress).
+ * @param {Object} row - One CSV row
+ * @param {string[]} [keys] - Column names; default Address1–4, Town, County, Postcode
+ * @param {string} [state] - Default state, used only when none can be inferred from the row (e.g. "MI")
+ * @param {{ rules?: Object[], stateColumn?: string, countryColumn?: string }} [options] - `rules` for parseAddress;
+ *   state/country columns for resolveRowState
+ * @returns {Object} - Address components (with the resolved state and country) plus `stateSource`
+ *   (see resolveRowState)
+ */
+export function parseAddressFromRow(row, keys = DEFAULT_ADDRESS_KEYS, state = 'MI', options = {}) {
+  const { address, state: resolved, stateSource, country } = buildAddressForRow(row, keys, state, options);
+  const parsed = parseAddress(address, options);
+  return { ...parsed, state: resolved || parsed.state, stateSource, country: parsed.country || country };
+}
+
+/** Geocoding query levels, from the full address to the roughest fallback (see relaxedAddressQueries). */
+export const RELAXATION_LEVELS = ['full', 'primary-line', 'street-postcode', 'town-postcode'];
+
+/**
+ * Fallback geocoder queries for a row whose full address found nothing, most specific first: the address
+ * without extra street lines (Address2–4), the parsed street with the postcode, then the town with the postcode.
+ * Levels that lack the parts they need, or would repeat an earlier query, are left out.
+ * @param {Object} row - One CSV row
+ * @param {string[]} keys - Address columns used for the full address
+ * @param {{ street?: string[], city?: string }|null} roles - Column roles (see columnMapping.js); without them the
+ *   primary-line level is skipped and the town comes from the parsed address
+ * @param {string} [state] - Default state (see parseAddressFromRow)
+ * @param {Object} [options] - See parseAddressFromRow
+ * @returns {{ level: string, query: string }[]}
+ */
+export function relaxedAddressQueries(row, keys = DEFAULT_ADDRESS_KEYS, roles = null, state = 'MI', options = {}) {
+  const full = parseAddressFromRow(row, keys, state, options);
+  const seen = new Set([full.cleaned]);
+  const queries = [];
+  const add = (level, parts) => {
+    const query = parts.filter(Boolean).join(', ');
+    if (!query || seen.has(query)) return;
+    seen.add(query);
+    queries.push({ level, query });
+  };
+
+  const extraLines = (roles?.street || []).slice(1);
+  if (extraLines.some((k) => String(row[k] ?? '').trim())) {
+    add('primary-line', [parseAddressFromRow(row, keys.filter((k) => !extraLines.includes(k)), state, options).cleaned]);
+  }
+
+  const region = [full.state, full.postcode].filter(Boolean).join(' ');
+  const countryName = full.country !== 'US' ? COUNTRY_NAMES[full.country] : '';
+  if (full.street && full.postcode) add('street-postcode', [full.street, region, countryName]);
+  const town = (roles?.city ? String(row[roles.city] ?? '').trim() : '') || full.city;
+  if (town && region) add('town-postcode', [town, region, countryName]);
+  return queries;
 }
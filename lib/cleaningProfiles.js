@@ -0,0 +1,63 @@
+/**
+ * Named cleaning profiles: ordered lists of remove/replace rules stored in a JSON file on the server.
+ * The built-in "default" profile is the PATTERNS set from addressCleaner and cannot be changed.
+ */
+
+import { DEFAULT_CLEANING_RULES, validateRules } from './addressCleaner.js';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+
+export const DEFAULT_PROFILE = 'default';
+
+const PROFILE_NAME_RE = /^[\w .-]{1,64}$/;
+
+/**
+ * @param {string} filePath - JSON file holding { profiles: { [name]: { rules, updatedAt } } }
+ */
+export function createProfileStore(filePath) {
+  let data = readJsonFile(filePath, { profiles: {} });
+  if (!data || typeof data.profiles !== 'object') data = { profiles: {} };
+
+  /** @returns {{ name: string, builtIn: boolean, rules: Object[], updatedAt?: string }[]} */
+  function list() {
+    const saved = Object.entries(data.profiles)
+      .map(([name, p]) => ({ name, builtIn: false, rules: p.rules, updatedAt: p.updatedAt }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return [{ name: DEFAULT_PROFILE, builtIn: true, rules: DEFAULT_CLEANING_RULES }, ...saved];
+  }
+
+  /**
+   * Rules for a profile, or null if it doesn't exist. Returns the same array until the profile is saved again,
+   * so compiled regexes are reused across rows.
+   * @param {string} [name] - Profile name; empty means the default profile
+   */
+  function getRules(name) {
+    if (!name || name === DEFAULT_PROFILE) return DEFAULT_CLEANING_RULES;
+    return data.profiles[name]?.rules ?? null;
+  }
+
+  /**
+   * Create or replace a profile. Throws on an invalid name or rule.
+   * @param {string} name
+   * @param {Object[]} rules
+   */
+  function save(name, rules) {
+    if (name === DEFAULT_PROFILE) throw new Error('The default profile is built in and cannot be changed');
+    if (!PROFILE_NAME_RE.test(name || '')) {
+      throw new Error('Profile name must be 1–64 letters, numbers, spaces, dots, dashes or underscores');
+    }
+    const profile = { rules: validateRules(rules), updatedAt: new Date().toISOString() };
+    data.profiles[name] = profile;
+    writeJsonFile(filePath, data);
+    return { name, builtIn: false, ...profile };
+  }
+
+  /** @returns {boolean} - false if there was no such saved profile */
+  function remove(name) {
+    if (!data.profiles[name]) return false;
+    delete data.profiles[name];
+    writeJsonFile(filePath, data);
+    return true;
+  }
+
+  return { list, getRules, save, remove };
+}
@@ -0,0 +1,145 @@
+/**
+ * Suggest which CSV columns hold which part of the address (and the name / account ID), from header names
+ * and sample values, so exports with headers like "Street", "City" or "Zip" work without configuration.
+ */
+
+import { countryCode, matchPostcode, regionCode } from './regions.js';
+
+/**
+ * Roles a column can be mapped to. `street` takes several columns (in order); the rest take one.
+ * Address columns are joined in this order: street…, city, state, postcode, country.
+ */
+export const MAPPING_ROLES = ['street', 'city', 'state', 'postcode', 'country', 'name', 'accountId'];
+
+/** The Sales-i layout (Address1–4, Town, County, Postcode). */
+export const DEFAULT_MAPPING = {
+  street: ['Address1', 'Address2', 'Address3', 'Address4'],
+  city: 'Town',
+  state: 'County',
+  postcode: 'Postcode',
+  country: '',
+  name: 'Customer - Parent  Account',
+  accountId: '',
+};
+
+// Header patterns per role (tested against the header lowercased, with _ and - turned into spaces)
+const HEADER_PATTERNS = {
+  postcode: /^(?:post ?code|postal ?code|zip|zip ?code|zipcode|zip\/postal code|postal)$/,
+  country: /^(?:country|country code|nation)$/,
+  state: /^(?:state|province|county|region|st|state\/province|state\/county|prov)$/,
+  city: /^(?:city|town|town\/city|city\/town|locality|municipality|suburb)$/,
+  accountId: /^(?:(?:account|acct|customer|cust|client)\s*(?:no|number|num|id|code|ref|#)\.?|id|account)$/,
+  name: /(?:^name$|customer|company|business|client|account name|parent\s+account|trading name)/,
+  street: /^(?:(?:street|address|addr)(?:\s*(?:line)?\s*\d)?|street address|address line \d|line \d)$/,
+};
+
+// Share of non-empty sample values that must look right for a value-based guess
+const VALUE_THRESHOLD = 0.6;
+
+function normHeader(h) {
+  return String(h).toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/** Share of non-empty sample values in a column that pass `test`. */
+function valueShare(rows, header, test) {
+  const values = rows.map((r) => String(r[header] ?? '').trim()).filter(Boolean);
+  if (!values.length) return 0;
+  return values.filter(test).length / values.length;
+}
+
+/**
+ * Suggest a column mapping.
+ * @param {string[]} headers - CSV headers in file order
+ * @param {Object[]} [rows] - Rows (the first 50 are used as samples)
+ * @returns {{ street: string[], city: string, state: string, postcode: string, country: string, name: string, accountId: string }}
+ */
+export function suggestColumnMapping(headers, rows = []) {
+  const samples = rows.slice(0, 50);
+  const mapping = { street: [], city: '', state: '', postcode: '', country: '', name: '', accountId: '' };
+  const used = new Set();
+  const take = (role, header) => {
+    used.add(header);
+    if (role === 'street') mapping.street.push(header);
+    else mapping[role] = header;
+  };
+
+  // 1. Header names. Single-value roles go first so e.g. "Address Postcode" isn't taken as a street line.
+  for (const role of ['postcode', 'country', 'state', 'city', 'accountId', 'name', 'street']) {
+    for (const h of headers) {
+      if (used.has(h) || !HEADER_PATTERNS[role].test(normHeader(h))) continue;
+      if (role !== 'street' && mapping[role]) break;
+      take(role, h);
+    }
+  }
+
+  // 2. Sample values for address roles the headers didn't reveal
+  const valueTests = {
+    postcode: (v) => !!matchPostcode(v),
+    country: (v) => !!countryCode(v),
+    state: (v) => !!regionCode(v),
+  };
+  for (const [role, test] of Object.entries(valueTests)) {
+    if (mapping[role]) continue;
+    const header = headers.find((h) => !used.has(h) && valueShare(samples, h, test) >= VALUE_THRESHOLD);
+    if (header) take(role, header);
+  }
+  if (!mapping.street.length) {
+    const looksLikeStreet = (v) => /^\d+[A-Za-z]?\s+\S*[A-Za-z]/.test(v);
+    const header = headers.find((h) => !used.has(h) && valueShare(samples, h, looksLikeStreet) >= VALUE_THRESHOLD);
+    if (header) take('street', header);
+  }
+
+  // Keep street lines in file order
+  mapping.street.sort((a, b) => headers.indexOf(a) - headers.indexOf(b));
+  return mapping;
+}
+
+/**
+ * Guess whether the first of some rows without known headers (e.g. pasted from a spreadsheet) is a header row: yes if
+ * a cell is a header name we recognise, no if a cell is blank or repeated, otherwise yes when it has no digits but the
+ * rows below do (house numbers, postcodes, IDs). Rows without any digits are taken as data.
+ * @param {string[][]} records - Rows as lists of cell values
+ * @returns {boolean}
+ */
+export function looksLikeHeaderRow(records) {
+  const [first, ...rest] = records;
+  if (!first?.length || !rest.length) return false;
+  const cells = first.map((v) => String(v ?? '').trim());
+  // Any of the anchored patterns; the name pattern also matches company names, so only a plain "Name" counts
+  const known = (c) => c.toLowerCase() === 'name'
+    || Object.entries(HEADER_PATTERNS).some(([role, re]) => role !== 'name' && re.test(normHeader(c)));
+  if (cells.some(known)) return true;
+  if (cells.some((c) => !c) || new Set(cells).size < cells.length) return false;
+  const hasDigit = (v) => /\d/.test(v);
+  return !cells.some(hasDigit) && rest.some((values) => values.some(hasDigit));
+}
+
+/**
+ * Address columns, in the order they are joined, for a mapping.
+ * @param {Object} mapping - See suggestColumnMapping
+ * @returns {string[]}
+ */
+export function mappingToAddressKeys(mapping) {
+  const street = Array.isArray(mapping?.street) ? mapping.street : [];
+  return [...street, mapping?.city, mapping?.state, mapping?.postcode, mapping?.country].filter(Boolean);
+}
+
+/**
+ * Validate a mapping sent by a client (e.g. in a saved preset) and fill in missing roles. Throws on a bad shape.
+ * @param {Object} mapping
+ * @returns {{ street: string[], city: string, state: string, postcode: string, country: string, name: string, accountId: string }}
+ */
+export function normalizeMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object') throw new Error('Mapping must be an object');
+  const street = mapping.street ?? [];
+  if (!Array.isArray(street) || street.some((h) => typeof h !== 'string')) {
+    throw new Error('Mapping street must be a list of column names');
+  }
+  const out = { street: street.filter(Boolean) };
+  for (const role of MAPPING_ROLES.slice(1)) {
+    const value = mapping[role] ?? '';
+    if (typeof value !== 'string') throw new Error(`Mapping ${role} must be a column name`);
+    out[role] = value;
+  }
+  return out;
+}
@@ -0,0 +1,94 @@
+/**
+ * KML and CSV exports of geocoded rows, produced a row at a time so a large job is streamed to the browser (or to
+ * the My Maps import file) without being built in memory.
+ */
+
+/**
+ * Cleaning audit [{ rule, text }] → 'attention: "ATTN. ACCOUNTS PAYABLE"; phone: "522-6004"'. public/app.js keeps a
+ * copy of this and cellValue for the results table; update it with them.
+ */
+function formatAudit(audit) {
+  if (!Array.isArray(audit)) return '';
+  return audit.map((a) => `${a.rule}: "${String(a.text).trim()}"`).join('; ');
+}
+
+/** Export value for a row column (flattens structured fields like cleaningAudit). */
+function cellValue(row, key) {
+  if (key === 'cleaningAudit') return formatAudit(row[key]);
+  return row[key];
+}
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = String(v);
+  if (/[",\r\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
+  return s;
+}
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/** Name for a placemark or pin label: the sheet's name column, else the cleaned address. */
+export function rowName(row, nameColumn) {
+  return (nameColumn && row[nameColumn]) || row.cleanedAddress || '';
+}
+
+/**
+ * Columns for a CSV export: every key found in the rows, in first-seen order. Rows of a cancelled job that weren't
+ * processed have no geocoding fields, so the first row alone isn't enough.
+ * @param {AsyncIterable<Object>} rows
+ * @returns {Promise<string[]>}
+ */
+export async function csvColumns(rows) {
+  const keys = new Set();
+  for await (const row of rows) Object.keys(row).forEach((k) => keys.add(k));
+  keys.delete('_cleanedAddress');
+  return [...keys];
+}
+
+/**
+ * CSV text, a header line and then a line per row.
+ * @param {string[]} columns
+ * @param {AsyncIterable<Object>} rows
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* csvLines(columns, rows) {
+  yield columns.map(csvCell).join(',') + '\r\n';
+  for await (const row of rows) yield columns.map((c) => csvCell(cellValue(row, c))).join(',') + '\r\n';
+}
+
+/**
+ * KML document with a placemark per row that has coordinates.
+ * @param {AsyncIterable<Object>} rows
+ * @param {{ name: string, nameColumn?: string, popupColumns?: string[] }} options - name: the document (layer) name;
+ *   popupColumns: extra "Column: value" lines in each placemark's description
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* kmlDocument(rows, { name, nameColumn = '', popupColumns = [] }) {
+  yield `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>`;
+  for await (const row of rows) {
+    if (row.lat == null || row.lng == null) continue;
+    const lines = popupColumns.filter((key) => row[key] != null && row[key] !== '').map((key) => `${key}: ${row[key]}`);
+    // Unit is kept out of the geocoded address; put it back so reps know which suite to visit
+    const desc = [[row.cleanedAddress, row.unit].filter(Boolean).join(', '), ...lines].join('\n');
+    yield `
+  <Placemark>
+    <name>${escapeXml(rowName(row, nameColumn))}</name>
+    <description>${escapeXml(desc)}</description>
+    <Point><coordinates>${row.lng},${row.lat},0</coordinates></Point>
+  </Placemark>`;
+  }
+  yield `
+  </Document>
+</kml>
+`;
+}
@@ -0,0 +1,234 @@
+/**
+ * Durable geocode cache: results keyed by canonical address, kept in memory and persisted so paid Google lookups
+ * and slow Nominatim ones survive restarts. Each entry records the provider that produced it, when it was stored and
+ * how long it stays valid. The file is an NDJSON append log: changes are batched and appended (a removal is a
+ * { key, deleted: true } line), and the log is compacted to one line per entry on startup. Call flush() before the
+ * process exits.
+ */
+
+import fs from 'fs';
+import { appendJsonLines, readJsonFile, readJsonLinesSync, writeJsonLinesSync } from './jsonFile.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Batch writes: a geocoding run stores one entry per address
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key - Normalized canonical address
+ * @property {string} query - Query that was sent to the provider
+ * @property {number|null} lat
+ * @property {number|null} lng
+ * @property {string|null} display_name
+ * @property {string|null} precision - Match precision level (see PRECISION_LEVELS in geocoders.js)
+ * @property {number|null} confidence - 0–1
+ * @property {string} provider - e.g. 'google', 'nominatim', 'import'
+ * @property {string} createdAt - ISO timestamp
+ * @property {number} ttlMs - Entry is stale once createdAt + ttlMs has passed
+ */
+
+function isExpired(entry, now = Date.now()) {
+  return Date.parse(entry.createdAt) + entry.ttlMs <= now;
+}
+
+function isValidEntry(e) {
+  return e && typeof e.key === 'string' && e.key
+    && (e.lat === null || Number.isFinite(e.lat))
+    && (e.lng === null || Number.isFinite(e.lng))
+    && !Number.isNaN(Date.parse(e.createdAt))
+    && Number.isFinite(e.ttlMs);
+}
+
+/**
+ * Entries from the log: later lines replace earlier ones for the same key.
+ * @returns {{ entries: Map<string, CacheEntry>, lines: number }}
+ */
+function loadLog(filePath) {
+  const entries = new Map();
+  const lines = readJsonLinesSync(filePath);
+  for (const line of lines) {
+    if (line?.deleted && typeof line.key === 'string') entries.delete(line.key);
+    else if (isValidEntry(line)) entries.set(line.key, line);
+  }
+  return { entries, lines: lines.length };
+}
+
+/**
+ * @param {string} filePath - NDJSON log of CacheEntry lines
+ * @param {{ ttlDays?: number, missTtlDays?: number, legacyFile?: string }} [options] - ttlDays / missTtlDays: how
+ *   long found / not-found results stay valid; legacyFile: JSON file ({ version: 1, entries: { [key]: CacheEntry } })
+ *   written by older versions, moved into the log when there is no log yet
+ */
+export function createGeocodeCache(filePath, { ttlDays = 365, missTtlDays = 7, legacyFile } = {}) {
+  let { entries, lines } = loadLog(filePath);
+  const legacy = legacyFile && !fs.existsSync(filePath) ? readJsonFile(legacyFile, null) : null;
+  if (legacy) {
+    entries = new Map(Object.values(legacy.entries || {}).filter(isValidEntry).map((e) => [e.key, e]));
+  }
+
+  // Lines not yet appended to the log
+  let pending = [];
+  let saveTimer = null;
+
+  function compact() {
+    writeJsonLinesSync(filePath, entries.values());
+  }
+
+  function flush() {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    const batch = pending;
+    pending = [];
+    appendJsonLines(filePath, batch);
+  }
+
+  function scheduleSave(line) {
+    pending.push(line);
+    if (saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  }
+
+  // Drop replaced entries and removals so the log doesn't keep growing across restarts
+  if (legacy || lines > entries.size) compact();
+  if (legacy) fs.rmSync(legacyFile, { force: true });
+
+  /** @returns {CacheEntry|undefined} - undefined when missing or expired */
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry || isExpired(entry)) return undefined;
+    return entry;
+  }
+
+  function has(key) {
+    return get(key) !== undefined;
+  }
+
+  /**
+   * Store a geocode result.
+   * @param {string} key
+   * @param {{ lat: number|null, lng: number|null, display_name: string|null, precision?: string|null, confidence?: number|null }} result
+   * @param {{ provider: string, query?: string, ttlMs?: number }} meta - ttlMs defaults by whether a location was found
+   */
+  function set(key, result, { provider, query = key, ttlMs } = {}) {
+    const found = result.lat != null && result.lng != null;
+    const entry = {
+      key,
+      query,
+      lat: result.lat ?? null,
+      lng: result.lng ?? null,
+      display_name: result.display_name ?? null,
+      precision: result.precision ?? null,
+      confidence: result.confidence ?? null,
+      provider: provider || 'unknown',
+      createdAt: new Date().toISOString(),
+      ttlMs: ttlMs ?? (found ? ttlDays : missTtlDays) * DAY_MS,
+    };
+    entries.set(key, entry);
+    scheduleSave(entry);
+    return entry;
+  }
+
+  /** Entries matching a filter: `q` is a case-insensitive substring of the key, query or display name. */
+  function matching({ q = '', provider = '', expired } = {}) {
+    const needle = q.trim().toLowerCase();
+    const now = Date.now();
+    return [...entries.values()].filter((e) => {
+      if (provider && e.provider !== provider) return false;
+      if (expired !== undefined && isExpired(e, now) !== expired) return false;
+      if (!needle) return true;
+      return [e.key, e.query, e.display_name].some((v) => v && v.toLowerCase().includes(needle));
+    });
+  }
+
+  /**
+   * Search entries, newest first.
+   * @param {{ q?: string, provider?: string, expired?: boolean, limit?: number, offset?: number }} [filter]
+   * @returns {{ total: number, entries: (CacheEntry & { expired: boolean })[] }}
+   */
+  function search({ limit = 100, offset = 0, ...filter } = {}) {
+    const found = matching(filter).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const now = Date.now();
+    return {
+      total: found.length,
+      entries: found.slice(offset, offset + limit).map((e) => ({ ...e, expired: isExpired(e, now) })),
+    };
+  }
+
+  /** @returns {{ entries: number, expired: number, byProvider: Object<string, number> }} */
+  function stats() {
+    const now = Date.now();
+    const byProvider = {};
+    let expired = 0;
+    for (const e of entries.values()) {
+      byProvider[e.provider] = (byProvider[e.provider] || 0) + 1;
+      if (isExpired(e, now)) expired++;
+    }
+    return { entries: entries.size, expired, byProvider };
+  }
+
+  /** @returns {boolean} - false if there was no such entry */
+  function remove(key) {
+    if (!entries.delete(key)) return false;
+    scheduleSave({ key, deleted: true });
+    return true;
+  }
+
+  /**
+   * Delete every entry matching a filter (see search); an empty filter clears the cache.
+   * @returns {number} - Entries removed
+   */
+  function purge(filter = {}) {
+    const doomed = matching(filter);
+    doomed.forEach((e) => entries.delete(e.key));
+    if (doomed.length) {
+      // Rewrite rather than append a removal per entry; queued lines are already reflected in `entries`
+      if (saveTimer) clearTimeout(saveTimer);
+      saveTimer = null;
+      pending = [];
+      compact();
+    }
+    return doomed.length;
+  }
+
+  /** All entries in the file format accepted by importEntries. */
+  function exportAll() {
+    return { version: 1, exportedAt: new Date().toISOString(), entries: [...entries.values()] };
+  }
+
+  /**
+   * Merge exported entries (e.g. from another server). Invalid entries are skipped; an existing entry is only
+   * replaced when `overwrite` is set or the imported one is newer.
+   * @param {CacheEntry[]} list
+   * @param {{ overwrite?: boolean }} [options]
+   * @returns {{ imported: number, skipped: number }}
+   */
+  function importEntries(list, { overwrite = false } = {}) {
+    if (!Array.isArray(list)) throw new Error('entries must be an array');
+    let imported = 0;
+    for (const e of list) {
+      if (!isValidEntry(e)) continue;
+      const existing = entries.get(e.key);
+      if (existing && !overwrite && Date.parse(existing.createdAt) >= Date.parse(e.createdAt)) continue;
+      const entry = {
+        key: e.key,
+        query: typeof e.query === 'string' ? e.query : e.key,
+        lat: e.lat,
+        lng: e.lng,
+        display_name: typeof e.display_name === 'string' ? e.display_name : null,
+        precision: typeof e.precision === 'string' ? e.precision : null,
+        confidence: Number.isFinite(e.confidence) ? e.confidence : null,
+        provider: typeof e.provider === 'string' && e.provider ? e.provider : 'import',
+        createdAt: new Date(e.createdAt).toISOString(),
+        ttlMs: e.ttlMs,
+      };
+      entries.set(e.key, entry);
+      scheduleSave(entry);
+      imported++;
+    }
+    return { imported, skipped: list.length - imported };
+  }
+
+  return { get, has, set, search, stats, remove, purge, exportAll, importEntries, flush };
+}
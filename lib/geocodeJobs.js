@@ -0,0 +1,371 @@
+/**
+ * Background geocoding jobs. A job reads its rows from a source (a stored upload's sheet, see lib/uploadStore.js)
+ * and appends one result per row to an NDJSON file next to the job, so neither side of a large sheet has to be held
+ * in memory or rewritten as it progresses; listeners (Server-Sent Events) get an event per finished row. Jobs are
+ * saved under DATA_DIR/jobs so a job that was running when the server stopped resumes after its last written row on
+ * the next start.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { readJsonFile, readJsonLines, writeJsonFile, writeJsonLines } from './jsonFile.js';
+
+// Batch saves of the job's progress counters; results themselves are appended as each row finishes
+const SAVE_DELAY_MS = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {'running'|'cancelled'|'done'|'failed'} status
+ * @property {Object} params - Request parameters (mapping, state, profile, ...) for createContext
+ * @property {Object} meta - Caller's own data (e.g. filename), returned as-is
+ * @property {Object} source - Where the rows come from, passed to readRows (e.g. { uploadId, sheet })
+ * @property {number} total - Rows in the source
+ * @property {number} completed
+ * @property {number[]} [skipped] - Rows set aside in review (see skipRow)
+ * @property {Object<number, Object>} [edits] - Rows changed by hand after they were processed, by index (see
+ *   updateRow); they replace the stored result wherever results are read
+ * @property {string|null} error
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - Directory for job files
+ * @param {(params: Object, source: Object) => Object} options.createContext - Resolve parameters once per run; throw
+ *   to fail the job
+ * @param {(source: Object) => AsyncIterable<Object>} options.readRows - The source's rows, in order
+ * @param {(context: Object, row: Object) => Promise<Object>} options.runRow - Produce one output row
+ * @param {(results: Object[]) => Object[]} [options.finalize] - Post-process all results when the job is done (the
+ *   only point where a job's results are in memory at once)
+ * @param {number} [options.concurrency] - Rows in flight at once (rate-limited providers queue their own requests)
+ * @param {number} [options.retentionDays] - Finished jobs older than this are deleted at startup
+ */
+export function createJobManager({ dir, createContext, readRows, runRow, finalize = (r) => r, concurrency = 8, retentionDays = 7 }) {
+  const jobs = new Map();
+  const listeners = new Map();
+  const saveTimers = new Map();
+  const running = new Set(); // ids with a run in progress (including one winding down after a cancel)
+
+  const file = (id) => path.join(dir, `${id}.json`);
+  const resultsFile = (id) => path.join(dir, `${id}.results.ndjson`);
+
+  function save(job) {
+    clearTimeout(saveTimers.get(job.id));
+    saveTimers.delete(job.id);
+    writeJsonFile(file(job.id), job);
+  }
+
+  function scheduleSave(job) {
+    if (saveTimers.has(job.id)) return;
+    const timer = setTimeout(() => save(job), SAVE_DELAY_MS);
+    timer.unref?.();
+    saveTimers.set(job.id, timer);
+  }
+
+  function emit(job, event, data) {
+    for (const fn of listeners.get(job.id) || []) fn(event, data);
+  }
+
+  /** Progress summary. */
+  function summary(job) {
+    const { id, status, meta, total, completed, error, createdAt, updatedAt } = job;
+    return { id, status, meta, total, completed, error, createdAt, updatedAt };
+  }
+
+  function setStatus(job, status, error = null) {
+    job.status = status;
+    job.error = error;
+    job.updatedAt = new Date().toISOString();
+    save(job);
+    emit(job, 'status', summary(job));
+  }
+
+  // Which rows already have a result (from earlier runs), one flag per row
+  async function finishedRows(job) {
+    const finished = new Uint8Array(job.total);
+    if (!fs.existsSync(resultsFile(job.id))) return finished;
+    for await (const { index } of readJsonLines(resultsFile(job.id))) {
+      if (index >= 0 && index < job.total) finished[index] = 1;
+    }
+    return finished;
+  }
+
+  // Run finalize over all results and rewrite the results file in row order
+  async function finish(job) {
+    const results = new Array(job.total).fill(null);
+    if (fs.existsSync(resultsFile(job.id))) {
+      for await (const { index, row } of readJsonLines(resultsFile(job.id))) {
+        if (index >= 0 && index < job.total) results[index] = row;
+      }
+    }
+    const final = finalize(results);
+    await writeJsonLines(resultsFile(job.id), (function* inOrder() {
+      for (let index = 0; index < final.length; index++) yield { index, row: final[index] };
+    })());
+  }
+
+  // Hands out the rows without a result, in order, one at a time however many workers ask at once
+  function pendingRows(job, finished) {
+    const rows = readRows(job.source)[Symbol.asyncIterator]();
+    let index = -1;
+    let queue = Promise.resolve();
+    const take = () => {
+      queue = queue.then(async () => {
+        for (;;) {
+          const next = await rows.next();
+          if (next.done) return null;
+          index++;
+          if (!finished[index]) return { index, row: next.value };
+        }
+      });
+      return queue;
+    };
+    return { take, close: () => rows.return?.() };
+  }
+
+  async function run(job) {
+    let context;
+    let finished;
+    try {
+      context = createContext(job.params, job.source);
+      finished = await finishedRows(job);
+    } catch (e) {
+      setStatus(job, 'failed', e.message);
+      return;
+    }
+    running.add(job.id);
+    try {
+      setStatus(job, 'running');
+      // Loops when the job is resumed while rows from before a cancel are still finishing
+      while (job.status === 'running') {
+        job.completed = finished.reduce((n, f) => n + f, 0);
+        if (job.completed >= job.total) {
+          await finish(job);
+          setStatus(job, 'done');
+          return;
+        }
+        let rows;
+        try {
+          rows = pendingRows(job, finished);
+        } catch (e) {
+          setStatus(job, 'failed', e.message);
+          return;
+        }
+        const worker = async () => {
+          while (job.status === 'running') {
+            const item = await rows.take();
+            if (!item) return;
+            let result;
+            try {
+              result = await runRow(context, item.row);
+            } catch (e) {
+              job.status = 'failed';
+              throw e;
+            }
+            fs.appendFileSync(resultsFile(job.id), `${JSON.stringify({ index: item.index, row: result })}\n`);
+            finished[item.index] = 1;
+            job.completed++;
+            job.updatedAt = new Date().toISOString();
+            emit(job, 'row', { index: item.index, row: result, completed: job.completed, total: job.total });
+            scheduleSave(job);
+          }
+        };
+        const workers = Math.min(concurrency, job.total - job.completed);
+        const outcomes = await Promise.allSettled(Array.from({ length: workers }, worker));
+        await rows.close();
+        const failure = outcomes.find((o) => o.status === 'rejected');
+        if (failure) {
+          setStatus(job, 'failed', failure.reason?.message || String(failure.reason));
+          return;
+        }
+      }
+      // Cancelled: keep the finished rows so the job can be resumed
+      save(job);
+    } catch (e) {
+      setStatus(job, 'failed', e.message);
+    } finally {
+      running.delete(job.id);
+    }
+  }
+
+  function start(job) {
+    run(job).catch((e) => console.error(`[jobs] ${job.id} stopped:`, e.message));
+  }
+
+  /**
+   * Create and start a job.
+   * @param {Object} source - Passed to readRows
+   * @param {number} total - Rows in the source
+   * @param {Object} params - Passed to createContext
+   * @param {Object} [meta]
+   * @returns {Job}
+   */
+  function create(source, total, params, meta = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      params,
+      meta,
+      source,
+      total,
+      completed: 0,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    jobs.set(job.id, job);
+    start(job);
+    return job;
+  }
+
+  /** @returns {Job|undefined} */
+  function get(id) {
+    return jobs.get(id);
+  }
+
+  /**
+   * Results for rows `offset` to `offset + limit - 1`: the output row, or null for a row not processed yet.
+   * @returns {Promise<(Object|null)[]>}
+   */
+  async function results(id, { offset = 0, limit = 1000 } = {}) {
+    const job = jobs.get(id);
+    const end = Math.min(job.total, offset + limit);
+    const out = new Array(Math.max(0, end - offset)).fill(null);
+    if (!out.length || !fs.existsSync(resultsFile(id))) return out;
+    const ordered = job.status === 'done';
+    for await (const { index, row } of readJsonLines(resultsFile(id))) {
+      if (index >= offset && index < end) out[index - offset] = row;
+      // A finished job's results are in row order: the rest of the file is past this page
+      if (ordered && index >= end - 1) break;
+    }
+    for (const key of Object.keys(job.edits || {})) {
+      const index = Number(key);
+      if (index >= offset && index < end) out[index - offset] = job.edits[key];
+    }
+    return out;
+  }
+
+  /**
+   * Every row's result in row order as { index, row } (row is null while not processed). A finished job's results
+   * file is streamed; an unfinished one is read whole first to put it in order.
+   * @returns {AsyncGenerator<{ index: number, row: Object|null }>}
+   */
+  async function* scan(id) {
+    const job = jobs.get(id);
+    const edits = job.edits || {};
+    const exists = fs.existsSync(resultsFile(id));
+    if (job.status === 'done') {
+      if (!exists) return;
+      for await (const { index, row } of readJsonLines(resultsFile(id))) yield { index, row: edits[index] ?? row };
+      return;
+    }
+    const results = new Array(job.total).fill(null);
+    if (exists) {
+      for await (const { index, row } of readJsonLines(resultsFile(id))) {
+        if (index >= 0 && index < job.total) results[index] = row;
+      }
+    }
+    for (let index = 0; index < job.total; index++) yield { index, row: edits[index] ?? results[index] };
+  }
+
+  /** Summaries, newest first. */
+  function list() {
+    return [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(summary);
+  }
+
+  /**
+   * Listen for 'row' and 'status' events of a job.
+   * @returns {() => void} - Unsubscribe
+   */
+  function subscribe(id, fn) {
+    if (!listeners.has(id)) listeners.set(id, new Set());
+    listeners.get(id).add(fn);
+    return () => {
+      listeners.get(id)?.delete(fn);
+      if (!listeners.get(id)?.size) listeners.delete(id);
+    };
+  }
+
+  /** Stop a running job after the rows in flight. @returns {boolean} - false if it wasn't running */
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || job.status !== 'running') return false;
+    setStatus(job, 'cancelled');
+    return true;
+  }
+
+  /** Continue a cancelled or failed job from its unfinished rows. @returns {boolean} */
+  function resume(id) {
+    const job = jobs.get(id);
+    if (!job || (job.status !== 'cancelled' && job.status !== 'failed')) return false;
+    // A cancelled run still finishing its rows in flight just carries on; a failing one has to stop first
+    if (running.has(id)) {
+      if (job.status !== 'cancelled') return false;
+      setStatus(job, 'running');
+    } else {
+      start(job);
+    }
+    return true;
+  }
+
+  /**
+   * Record that a row was looked at in review and is fine as it is, so the review list leaves it out.
+   * @returns {boolean} - false for an unknown job or row
+   */
+  function skipRow(id, index) {
+    const job = jobs.get(id);
+    if (!job || !Number.isInteger(index) || index < 0 || index >= job.total) return false;
+    job.skipped ??= [];
+    if (!job.skipped.includes(index)) {
+      job.skipped.push(index);
+      save(job);
+    }
+    return true;
+  }
+
+  /**
+   * Replace a row's result, e.g. with a pin placed by hand or a re-geocoded address. Kept apart from the results file
+   * (which stays append-only) and applied when results are read.
+   * @returns {boolean} - false for an unknown job or row
+   */
+  function updateRow(id, index, row) {
+    const job = jobs.get(id);
+    if (!job || !Number.isInteger(index) || index < 0 || index >= job.total) return false;
+    job.edits ??= {};
+    job.edits[index] = row;
+    job.updatedAt = new Date().toISOString();
+    save(job);
+    return true;
+  }
+
+  /** Write jobs with unsaved progress (call before the process exits). */
+  function flush() {
+    for (const id of [...saveTimers.keys()]) save(jobs.get(id));
+  }
+
+  // Load saved jobs: drop old finished ones, resume those interrupted by a restart
+  fs.mkdirSync(dir, { recursive: true });
+  const cutoff = Date.now() - retentionDays * DAY_MS;
+  for (const name of fs.readdirSync(dir).filter((n) => n.endsWith('.json'))) {
+    const job = readJsonFile(path.join(dir, name), null);
+    if (!job?.id) continue;
+    if (job.status !== 'running' && Date.parse(job.updatedAt) < cutoff) {
+      fs.rmSync(path.join(dir, name), { force: true });
+      fs.rmSync(resultsFile(job.id), { force: true });
+      continue;
+    }
+    jobs.set(job.id, job);
+    if (job.status === 'running') {
+      console.log(`[jobs] Resuming ${job.id} after ${job.completed} of ${job.total} rows`);
+      start(job);
+    }
+  }
+
+  return { create, get, results, scan, list, subscribe, cancel, resume, skipRow, updateRow, summary, flush };
+}
@@ -0,0 +1,477 @@
+/**
+ * Geocoding providers behind one interface, plus an ordered fallback chain.
+ *
+ * A provider is `{ name, geocode(query, { country, components }), reverse?(lat, lng) }`; `geocode` resolves to
+ * `{ lat, lng, display_name, precision, confidence }` (all null when nothing was found) and rejects on
+ * network/API errors. `reverse` (all but census) finds the address nearest a point, in the same shape.
+ * `components` ({ street, city, state, postcode }) lets Nominatim and Google run a structured query first; the
+ * free-text `query` is the fallback and what the other providers use. Providers with a
+ * usage-policy rate limit have their requests throttled here, so callers can fire lookups in parallel. Google's
+ * requests go through a token bucket (GOOGLE_QPS), and quota and transient errors (HTTP 429/5xx, network failures,
+ * Google's OVER_QUERY_LIMIT) are retried with exponential backoff before the provider gives up.
+ *
+ * `precision` normalizes each provider's match type to one of PRECISION_LEVELS; `confidence` (0–1) starts from
+ * the precision and is lowered by provider signals such as Google's partial_match or Nominatim's importance.
+ */
+
+import fetch from 'node-fetch';
+
+const USER_AGENT = 'AddressPlotter/1.0 (local CSV geocoding tool)';
+const PUBLIC_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+const PUBLIC_PHOTON_URL = 'https://photon.komoot.io';
+
+// Numeric setting from the environment; unset, empty or not a number (e.g. a typo) gives the default
+function envNumber(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const NO_RESULT = { lat: null, lng: null, display_name: null, precision: null, confidence: null };
+
+/** From most to least precise. A town-center or ZIP-centroid pin is `locality` / `postcode`, not an address. */
+export const PRECISION_LEVELS = ['rooftop', 'interpolated', 'street', 'postcode', 'locality', 'region', 'unknown'];
+
+const PRECISION_CONFIDENCE = {
+  rooftop: 1,
+  interpolated: 0.9,
+  street: 0.6,
+  postcode: 0.4,
+  locality: 0.3,
+  region: 0.1,
+  unknown: 0.5,
+};
+
+/**
+ * Precision level and confidence for a match.
+ * @param {string} precision - One of PRECISION_LEVELS
+ * @param {number} [factor] - 0–1 multiplier from provider-specific signals
+ */
+function quality(precision, factor = 1) {
+  const level = PRECISION_CONFIDENCE[precision] !== undefined ? precision : 'unknown';
+  const f = Number.isFinite(factor) ? Math.min(Math.max(factor, 0), 1) : 1;
+  return { precision: level, confidence: Math.round(PRECISION_CONFIDENCE[level] * f * 100) / 100 };
+}
+
+// Precision from place-type words shared by several providers (Google types, OSM types, Mapbox place types...)
+function precisionFromTypes(types) {
+  const t = new Set(types.filter(Boolean).map((x) => String(x).toLowerCase()));
+  const any = (...names) => names.some((n) => t.has(n));
+  if (any('street_address', 'premise', 'subpremise', 'house', 'building', 'address', 'poi', 'establishment', 'point_of_interest')) return 'rooftop';
+  if (any('route', 'street', 'road', 'highway', 'residential', 'intersection')) return 'street';
+  if (any('postal_code', 'postcode')) return 'postcode';
+  if (any('locality', 'sublocality', 'neighborhood', 'neighbourhood', 'place', 'city', 'town', 'village', 'hamlet', 'suburb', 'district', 'quarter')) return 'locality';
+  if (any('administrative_area_level_1', 'administrative_area_level_2', 'region', 'state', 'county', 'country')) return 'region';
+  return 'unknown';
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/** An error worth retrying (quota or transient); `retryAfterMs` is the server's Retry-After, if it sent one. */
+function retryableError(message, retryAfterMs = null) {
+  return Object.assign(new Error(message), { retryable: true, retryAfterMs });
+}
+
+/** Run calls one at a time, at least `minIntervalMs` apart. */
+function throttled(fn, minIntervalMs) {
+  if (!minIntervalMs) return fn;
+  let queue = Promise.resolve();
+  let last = 0;
+  return (...args) => {
+    const run = queue.then(async () => {
+      const wait = last + minIntervalMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      last = Date.now();
+      return fn(...args);
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+/**
+ * Token bucket: up to `qps` calls per second on average, bursts of up to `burst`. Callers wait their turn in order.
+ * @returns {() => Promise<void>} - Resolves when the caller may go
+ */
+function tokenBucket(qps, burst = Math.max(1, Math.ceil(qps))) {
+  let tokens = burst;
+  let last = Date.now();
+  let queue = Promise.resolve();
+  return () => {
+    const turn = queue.then(async () => {
+      for (;;) {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - last) / 1000) * qps);
+        last = now;
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(((1 - tokens) / qps) * 1000);
+      }
+    });
+    queue = turn;
+    return turn;
+  };
+}
+
+/** Call through a token bucket. */
+function rateLimited(fn, qps) {
+  if (!qps) return fn;
+  const take = tokenBucket(qps);
+  return async (...args) => {
+    await take();
+    return fn(...args);
+  };
+}
+
+/**
+ * Retry retryable errors with exponential backoff (with jitter), or the server's Retry-After when longer.
+ * @param {Function} fn
+ * @param {{ retries: number, baseDelayMs: number, maxDelayMs: number }} options
+ */
+function withRetries(fn, { retries, baseDelayMs, maxDelayMs }) {
+  return async (...args) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(...args);
+      } catch (e) {
+        if (!e.retryable || attempt >= retries) throw e;
+        const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+        await sleep(Math.max(backoff, e.retryAfterMs || 0));
+      }
+    }
+  };
+}
+
+async function getJson(url, headers = {}) {
+  let res;
+  try {
+    res = await fetch(url, { headers: { 'User-Agent': USER_AGENT, ...headers } });
+  } catch (e) {
+    throw retryableError(`Network error: ${e.message}`);
+  }
+  if (res.status === 429 || res.status >= 500) {
+    const retryAfter = parseFloat(res.headers.get('retry-after'));
+    throw retryableError(`HTTP ${res.status}`, Number.isFinite(retryAfter) ? retryAfter * 1000 : null);
+  }
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+function point(lat, lng, display_name, match = quality('unknown')) {
+  const la = parseFloat(lat);
+  const ln = parseFloat(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln)) return NO_RESULT;
+  return { lat: la, lng: ln, display_name: display_name || null, ...match };
+}
+
+// --- Adapters. Each takes the environment and returns a provider, or throws if it isn't configured. A provider's
+// geocode(query, options, get) fetches through `get`, which applies its minIntervalMs or qps, runs its
+// checkResponse (which throws on error payloads) and retries retryable errors. ---
+
+/** Whether address components are complete enough for a structured query: a street plus a town or postcode. */
+function isStructured(components) {
+  return !!(components?.street && (components.city || components.postcode));
+}
+
+// Structured: the street as `address` with postcode/state/town/country as `components` filters; free text if
+// that finds nothing (e.g. the export has a wrong postcode)
+function google(env) {
+  const key = env.GOOGLE_GEOCODING_API_KEY;
+  if (!key) throw new Error('google needs GOOGLE_GEOCODING_API_KEY');
+
+  function addressParams(address, filters) {
+    const components = filters.length ? `&components=${encodeURIComponent(filters.join('|'))}` : '';
+    return `address=${encodeURIComponent(address)}${components}`;
+  }
+
+  async function search(get, params) {
+    const data = await get(`https://maps.googleapis.com/maps/api/geocode/json?${params}&key=${key}`);
+    if (data.status === 'ZERO_RESULTS') return NO_RESULT;
+    const [first] = data.results;
+    // ROOFTOP / RANGE_INTERPOLATED are address-level; GEOMETRIC_CENTER / APPROXIMATE depend on what was matched
+    const locationType = first.geometry?.location_type;
+    let precision = precisionFromTypes(first.types || []);
+    if (locationType === 'ROOFTOP') precision = 'rooftop';
+    else if (locationType === 'RANGE_INTERPOLATED' || precision === 'rooftop') precision = 'interpolated';
+    const match = quality(precision, first.partial_match ? 0.7 : 1);
+    return point(first.geometry?.location?.lat, first.geometry?.location?.lng, first.formatted_address, match);
+  }
+
+  return {
+    qps: envNumber(env.GOOGLE_QPS, 40),
+    // OVER_QUERY_LIMIT is the per-second quota (or the daily one, in which case the retries run out);
+    // REQUEST_DENIED / INVALID_REQUEST won't get better by retrying
+    checkResponse(data) {
+      if (data.status === 'OVER_QUERY_LIMIT' || data.status === 'UNKNOWN_ERROR') {
+        throw retryableError(`Google status ${data.status}`);
+      }
+      if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+        throw new Error(`Google status ${data.status}${data.error_message ? `: ${data.error_message}` : ''}`);
+      }
+      return data;
+    },
+    async geocode(query, { country, components } = {}, get) {
+      const countryFilter = country ? [`country:${country}`] : [];
+      if (isStructured(components)) {
+        const c = components;
+        const filters = [
+          ...countryFilter,
+          c.postcode && `postal_code:${c.postcode}`,
+          c.state && `administrative_area:${c.state}`,
+          c.city && `locality:${c.city}`,
+        ].filter(Boolean);
+        const result = await search(get, addressParams(c.street, filters));
+        if (result.lat != null) return result;
+      }
+      return search(get, addressParams(query, countryFilter));
+    },
+    reverse(lat, lng, get) {
+      return search(get, `latlng=${lat},${lng}`);
+    },
+  };
+}
+
+// Public OSM server by default (1 req/sec policy); set NOMINATIM_URL for a self-hosted instance.
+// Structured street/city/state/postalcode search first, free-text `q=` if that finds nothing.
+function nominatim(env) {
+  const base = (env.NOMINATIM_URL || PUBLIC_NOMINATIM_URL).replace(/\/+$/, '');
+  const defaultDelay = base === PUBLIC_NOMINATIM_URL ? 1100 : 0;
+
+  async function search(get, params, country) {
+    const countrycodes = country ? `&countrycodes=${encodeURIComponent(country.toLowerCase())}` : '';
+    const data = await get(`${base}/search?${params}${countrycodes}&format=json&limit=1`);
+    if (!Array.isArray(data) || !data.length) return NO_RESULT;
+    return toPoint(data[0]);
+  }
+
+  function toPoint(first) {
+    // class/type like building/house, highway/residential, place/city, boundary/administrative; importance is 0–1
+    const precision = first.class === 'place' && first.type === 'house' ? 'rooftop'
+      : first.class === 'highway' ? 'street'
+        : first.class === 'boundary' ? (first.addresstype === 'state' || first.addresstype === 'county' ? 'region' : 'locality')
+          : ['amenity', 'shop', 'office', 'building', 'craft', 'tourism'].includes(first.class) ? 'rooftop'
+            : precisionFromTypes([first.type, first.addresstype]);
+    const importance = parseFloat(first.importance);
+    const match = quality(precision, Number.isFinite(importance) ? 0.95 + 0.05 * importance : 1);
+    return point(first.lat, first.lon, first.display_name, match);
+  }
+
+  return {
+    minIntervalMs: envNumber(env.NOMINATIM_DELAY_MS, defaultDelay),
+    async geocode(query, { country, components } = {}, get) {
+      if (isStructured(components)) {
+        const c = components;
+        const params = [['street', c.street], ['city', c.city], ['state', c.state], ['postalcode', c.postcode]]
+          .filter(([, v]) => v)
+          .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+          .join('&');
+        const result = await search(get, params, country);
+        if (result.lat != null) return result;
+      }
+      return search(get, `q=${encodeURIComponent(query)}`, country);
+    },
+    async reverse(lat, lng, get) {
+      // zoom=18 asks for a building; the answer is {"error": ...} when there is nothing nearby
+      const data = await get(`${base}/reverse?lat=${lat}&lon=${lng}&zoom=18&format=json`);
+      return data && !data.error ? toPoint(data) : NO_RESULT;
+    },
+  };
+}
+
+// Komoot's public Photon (fair use) or a self-hosted one via PHOTON_URL. Photon has no country filter, so the
+// top few results are fetched and the first in the requested country is used.
+function photon(env) {
+  const base = (env.PHOTON_URL || PUBLIC_PHOTON_URL).replace(/\/+$/, '');
+  function toPoint(match) {
+    if (!match) return NO_RESULT;
+    const p = match.properties || {};
+    const street = [p.housenumber, p.street].filter(Boolean).join(' ');
+    const label = [p.name !== p.street ? p.name : '', street, p.city, p.state, p.postcode, p.country].filter(Boolean).join(', ');
+    const [lng, lat] = match.geometry?.coordinates || [];
+    return point(lat, lng, label, quality(precisionFromTypes([p.type, p.osm_value])));
+  }
+
+  return {
+    minIntervalMs: base === PUBLIC_PHOTON_URL ? 1000 : 0,
+    async geocode(query, { country } = {}, get) {
+      const data = await get(`${base}/api/?q=${encodeURIComponent(query)}&limit=5`);
+      const features = Array.isArray(data.features) ? data.features : [];
+      return toPoint(country
+        ? features.find((f) => String(f.properties?.countrycode || '').toUpperCase() === country.toUpperCase())
+        : features[0]);
+    },
+    async reverse(lat, lng, get) {
+      const data = await get(`${base}/reverse?lat=${lat}&lon=${lng}&limit=1`);
+      return toPoint(Array.isArray(data.features) ? data.features[0] : null);
+    },
+  };
+}
+
+function mapbox(env) {
+  const token = env.MAPBOX_ACCESS_TOKEN;
+  if (!token) throw new Error('mapbox needs MAPBOX_ACCESS_TOKEN');
+  const places = (search, params) => `https://api.mapbox.com/geocoding/v5/mapbox.places/${search}.json?access_token=${token}${params}`;
+
+  function toPoint(data) {
+    const [first] = Array.isArray(data.features) ? data.features : [];
+    if (!first) return NO_RESULT;
+    // Address features carry an accuracy (rooftop, parcel, point, interpolated, ...); relevance is 0–1
+    const accuracy = first.properties?.accuracy;
+    const precision = (first.place_type || [])[0] === 'address'
+      ? (['rooftop', 'parcel', 'point'].includes(accuracy) ? 'rooftop' : 'interpolated')
+      : precisionFromTypes(first.place_type || []);
+    return point(first.center?.[1], first.center?.[0], first.place_name, quality(precision, first.relevance ?? 1));
+  }
+
+  return {
+    async geocode(query, { country } = {}, get) {
+      const countryParam = country ? `&country=${encodeURIComponent(country.toLowerCase())}` : '';
+      return toPoint(await get(places(encodeURIComponent(query), `&limit=1${countryParam}`)));
+    },
+    async reverse(lat, lng, get) {
+      // Reverse lookups only honor limit with a single type
+      return toPoint(await get(places(`${lng},${lat}`, '&types=address&limit=1')));
+    },
+  };
+}
+
+// Free trial keys are limited to 1 req/sec
+function opencage(env) {
+  const key = env.OPENCAGE_API_KEY;
+  if (!key) throw new Error('opencage needs OPENCAGE_API_KEY');
+  async function search(get, q, params = '') {
+    const data = await get(`https://api.opencagedata.com/geocode/v1/json?q=${encodeURIComponent(q)}&key=${key}&limit=1&no_annotations=1${params}`);
+    const [first] = Array.isArray(data.results) ? data.results : [];
+    if (!first) return NO_RESULT;
+    // OpenCage's own confidence (1–10) is the size of the match's bounding box: 10 is under 0.25 km
+    const precision = precisionFromTypes([first.components?._type, first.components?._category]);
+    const box = Number.isFinite(first.confidence) ? 0.7 + 0.03 * first.confidence : 1;
+    return point(first.geometry?.lat, first.geometry?.lng, first.formatted, quality(precision, box));
+  }
+
+  return {
+    minIntervalMs: envNumber(env.OPENCAGE_DELAY_MS, 1000),
+    geocode(query, { country } = {}, get) {
+      return search(get, query, country ? `&countrycode=${encodeURIComponent(country.toLowerCase())}` : '');
+    },
+    // A "lat,lng" query is a reverse lookup
+    reverse(lat, lng, get) {
+      return search(get, `${lat},${lng}`);
+    },
+  };
+}
+
+// US Census Bureau geocoder: free, no key, US addresses only (no reverse lookup: it only returns census areas)
+function census() {
+  return {
+    async geocode(query, { country } = {}, get) {
+      if (country && country !== 'US') return NO_RESULT;
+      const data = await get(`https://geocoding.geo.census.gov/geocoder/locations/onelineaddress?address=${encodeURIComponent(query)}&benchmark=Public_AR_Current&format=json`);
+      const [first] = data.result?.addressMatches || [];
+      if (!first) return NO_RESULT;
+      // Census matches are interpolated along TIGER address ranges
+      return point(first.coordinates?.y, first.coordinates?.x, first.matchedAddress, quality('interpolated'));
+    },
+  };
+}
+
+const ADAPTERS = { google, nominatim, photon, mapbox, opencage, census };
+
+export const PROVIDER_NAMES = Object.keys(ADAPTERS);
+
+/**
+ * Create one provider. Its requests are shared by every caller, so the rate limit holds across parallel lookups.
+ * @param {string} name - One of PROVIDER_NAMES
+ * @param {Object} [env] - Environment holding keys and URLs (see .env.example); GEOCODE_RETRIES (default 4) and
+ *   GEOCODE_RETRY_DELAY_MS (first backoff, default 500) control retries
+ * @returns {{ name: string, minIntervalMs: number, qps: number|null, geocode: Function, reverse: Function|null }}
+ */
+export function createGeocoder(name, env = process.env) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown geocoder "${name}" (available: ${PROVIDER_NAMES.join(', ')})`);
+  const provider = adapter(env);
+  const minIntervalMs = provider.minIntervalMs || 0;
+  const qps = provider.qps > 0 ? provider.qps : null;
+  const check = provider.checkResponse || ((data) => data);
+  const fetchOnce = rateLimited(throttled(getJson, minIntervalMs), qps);
+  const get = withRetries(async (url) => check(await fetchOnce(url)), {
+    retries: parseInt(env.GEOCODE_RETRIES || '4', 10),
+    baseDelayMs: envNumber(env.GEOCODE_RETRY_DELAY_MS, 500),
+    maxDelayMs: 30000,
+  });
+  return {
+    name,
+    minIntervalMs,
+    qps,
+    geocode: (query, options = {}) => provider.geocode(query, options, get),
+    reverse: provider.reverse ? (lat, lng) => provider.reverse(lat, lng, get) : null,
+  };
+}
+
+/**
+ * Provider names to try, in order: GEOCODERS (comma-separated) if set, else Google when a key is set,
+ * then Nominatim.
+ * @param {Object} [env]
+ * @returns {string[]}
+ */
+export function geocoderNamesFromEnv(env = process.env) {
+  if (env.GEOCODERS) return env.GEOCODERS.split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+  return env.GOOGLE_GEOCODING_API_KEY ? ['google', 'nominatim'] : ['nominatim'];
+}
+
+/**
+ * Ordered fallback chain: each provider is tried until one returns a location. A provider that errors (after its
+ * retries) is logged and skipped.
+ *
+ * `status` tells a real miss from a failure: `ok` (found), `zero_results` (every provider answered and found
+ * nothing) or `error` (nothing found and at least one provider failed, so the address may well exist); `error`
+ * holds the failure messages.
+ * @param {string[]} names
+ * @param {Object} [env]
+ * @returns {{ providers: string[], geocode: (query: string, options?: { country?: string, components?: Object }) =>
+ *   Promise<{ lat: number|null, lng: number|null, display_name: string|null, precision: string|null,
+ *   confidence: number|null, provider: string|null, status: 'ok'|'zero_results'|'error', error: string|null }>,
+ *   reverse: (lat: number, lng: number) => Promise<Object> }} - reverse resolves to the same shape as geocode
+ */
+export function createGeocoderChain(names, env = process.env) {
+  if (!names.length) throw new Error('No geocoders configured');
+  const providers = names.map((name) => createGeocoder(name, env));
+
+  // Try `lookup` on each provider in turn; label says what was looked up, for the log
+  async function firstFound(candidates, lookup, label) {
+    const errors = [];
+    for (const provider of candidates) {
+      try {
+        const result = await lookup(provider);
+        if (result.lat != null && result.lng != null) return { ...result, provider: provider.name, status: 'ok', error: null };
+      } catch (e) {
+        console.error(`[geocode] ${provider.name} failed for ${label}:`, e.message);
+        errors.push(`${provider.name}: ${e.message}`);
+      }
+    }
+    return errors.length
+      ? { ...NO_RESULT, provider: null, status: 'error', error: errors.join('; ') }
+      : { ...NO_RESULT, provider: null, status: 'zero_results', error: null };
+  }
+
+  function geocode(query, options = {}) {
+    return firstFound(providers, (p) => p.geocode(query, options), `"${query}"`);
+  }
+
+  /**
+   * Address nearest a point, from the first provider that supports reverse lookups and finds one. `lat`/`lng` in
+   * the result are the matched address's own position.
+   */
+  function reverse(lat, lng) {
+    const candidates = providers.filter((p) => p.reverse);
+    if (!candidates.length) {
+      return Promise.resolve({ ...NO_RESULT, provider: null, status: 'error', error: 'No configured geocoder supports reverse geocoding' });
+    }
+    return firstFound(candidates, (p) => p.reverse(lat, lng), `${lat},${lng}`);
+  }
+
+  return { providers: providers.map((p) => p.name), geocode, reverse };
+}
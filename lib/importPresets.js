@@ -0,0 +1,118 @@
+/**
+ * Import presets: one per report layout, bundling the column mapping, popup columns, cleaning profile and default
+ * state. Stored in a JSON file on the server; a preset is picked for an upload by matching its header signature.
+ * The built-in "sales-i" preset covers the standard Sales-i customer export and cannot be changed.
+ */
+
+import { DEFAULT_MAPPING, normalizeMapping } from './columnMapping.js';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+
+const PRESET_NAME_RE = /^[\w .-]{1,64}$/;
+
+// Share of a preset's signature headers an upload must contain for the preset to be picked
+const DETECT_THRESHOLD = 0.9;
+
+const BUILT_IN_PRESETS = [
+  {
+    name: 'sales-i',
+    builtIn: true,
+    headers: ['Customer - Parent  Account', 'Address1', 'Address2', 'Address3', 'Address4', 'Town', 'County', 'Postcode'],
+    mapping: DEFAULT_MAPPING,
+    popupColumns: [],
+    profile: '',
+    defaultState: 'MI',
+  },
+];
+
+function normHeader(h) {
+  return String(h).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function stringList(value, what) {
+  const list = value ?? [];
+  if (!Array.isArray(list) || list.some((v) => typeof v !== 'string')) throw new Error(`${what} must be a list of column names`);
+  return list.filter(Boolean);
+}
+
+/**
+ * @param {string} filePath - JSON file holding { presets: { [name]: { headers, mapping, popupColumns, profile, defaultState, updatedAt } } }
+ */
+export function createPresetStore(filePath) {
+  let data = readJsonFile(filePath, { presets: {} });
+  if (!data || typeof data.presets !== 'object') data = { presets: {} };
+
+  /** @returns {Object[]} - Built-in presets first, then saved ones by name */
+  function list() {
+    const saved = Object.entries(data.presets)
+      .map(([name, p]) => ({ name, builtIn: false, ...p }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return [...BUILT_IN_PRESETS, ...saved];
+  }
+
+  /** @returns {Object|null} */
+  function get(name) {
+    return list().find((p) => p.name === name) ?? null;
+  }
+
+  /**
+   * Pick the preset whose header signature best matches an upload's headers (case and spacing are ignored).
+   * A preset matches when the upload has at least 90% of its headers; among matches, the one with more
+   * matching headers wins, so a saved preset for a specific report beats the generic built-in one.
+   * @param {string[]} headers
+   * @returns {Object|null}
+   */
+  function detect(headers) {
+    const have = new Set(headers.map(normHeader));
+    let best = null;
+    let bestMatched = 0;
+    for (const preset of list()) {
+      if (!preset.headers.length) continue;
+      const matched = preset.headers.filter((h) => have.has(normHeader(h))).length;
+      if (matched / preset.headers.length < DETECT_THRESHOLD) continue;
+      if (matched > bestMatched) {
+        best = preset;
+        bestMatched = matched;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Create or replace a saved preset. Throws on an invalid name or field.
+   * @param {string} name
+   * @param {{ headers: string[], mapping: Object, popupColumns?: string[], profile?: string, defaultState?: string }} preset
+   */
+  function save(name, preset) {
+    if (BUILT_IN_PRESETS.some((p) => p.name === name)) throw new Error(`The ${name} preset is built in and cannot be changed`);
+    if (!PRESET_NAME_RE.test(name || '')) {
+      throw new Error('Preset name must be 1–64 letters, numbers, spaces, dots, dashes or underscores');
+    }
+    const { headers, mapping, popupColumns, profile = '', defaultState = '' } = preset || {};
+    const signature = stringList(headers, 'Preset headers');
+    if (!signature.length) throw new Error('Preset headers must not be empty');
+    if (typeof profile !== 'string' || typeof defaultState !== 'string') {
+      throw new Error('Preset profile and defaultState must be strings');
+    }
+    const saved = {
+      headers: signature,
+      mapping: normalizeMapping(mapping),
+      popupColumns: stringList(popupColumns, 'Preset popupColumns'),
+      profile,
+      defaultState: defaultState.trim().toUpperCase(),
+      updatedAt: new Date().toISOString(),
+    };
+    data.presets[name] = saved;
+    writeJsonFile(filePath, data);
+    return { name, builtIn: false, ...saved };
+  }
+
+  /** @returns {boolean} - false if there was no such saved preset */
+  function remove(name) {
+    if (!data.presets[name]) return false;
+    delete data.presets[name];
+    writeJsonFile(filePath, data);
+    return true;
+  }
+
+  return { list, get, detect, save, remove };
+}
@@ -0,0 +1,145 @@
+/**
+ * Small helpers for the JSON files the server keeps under data/ (profiles, caches, overrides), and for NDJSON files
+ * (one JSON value per line) used where a file is too large to read and rewrite whole (uploaded sheets, job results).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+/**
+ * Read and parse a JSON file.
+ * @param {string} filePath
+ * @param {*} fallback - Returned when the file does not exist or is not valid JSON
+ * @returns {*}
+ */
+export function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[data] Could not read ${filePath}:`, e.message);
+    return fallback;
+  }
+}
+
+/**
+ * Write JSON atomically (temp file + rename) so a crash mid-write never leaves a truncated file.
+ * @param {string} filePath
+ * @param {*} data
+ */
+export function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf-8');
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Read a whole NDJSON file at once, for files small enough to load at startup. Lines that don't parse are skipped.
+ * @param {string} filePath
+ * @returns {Array<*>} - Empty when the file does not exist
+ */
+export function readJsonLinesSync(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf-8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[data] Could not read ${filePath}:`, e.message);
+    return [];
+  }
+  const values = [];
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try {
+      values.push(JSON.parse(line));
+    } catch {
+      // Partial line
+    }
+  }
+  return values;
+}
+
+/**
+ * Append values to an NDJSON file, creating it if needed.
+ * @param {string} filePath
+ * @param {Array<*>} values
+ */
+export function appendJsonLines(filePath, values) {
+  if (!values.length) return;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, values.map((v) => `${JSON.stringify(v)}\n`).join(''), 'utf-8');
+}
+
+/**
+ * Replace an NDJSON file in one synchronous write, atomically as writeJsonFile. For files rewritten rarely (e.g.
+ * compacting an append log); see writeJsonLines for large ones.
+ * @param {string} filePath
+ * @param {Iterable<*>} values
+ */
+export function writeJsonLinesSync(filePath, values) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  let text = '';
+  for (const value of values) text += `${JSON.stringify(value)}\n`;
+  fs.writeFileSync(tmp, text, 'utf-8');
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Read an NDJSON file line by line. Lines that don't parse (e.g. one cut short by a crash) are skipped.
+ * @param {string} filePath
+ * @param {{ start?: number }} [options] - start: byte offset of the first line to read (see writeJsonLines' onLine)
+ * @returns {AsyncGenerator<*>}
+ */
+export async function* readJsonLines(filePath, { start = 0 } = {}) {
+  const input = fs.createReadStream(filePath, { start });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line) continue;
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch {
+        continue; // Partial line
+      }
+      yield value;
+    }
+  } finally {
+    // The caller may stop early; don't leave the file open
+    input.destroy();
+  }
+}
+
+/**
+ * Write values to an NDJSON file (replacing it), honouring back-pressure so large sheets aren't buffered in memory.
+ * Written to a temp file and renamed, as writeJsonFile.
+ * @param {string} filePath
+ * @param {Iterable<*>|AsyncIterable<*>} values
+ * @param {{ onLine?: (index: number, offset: number) => void }} [options] - onLine: called with each line's number and
+ *   byte offset, e.g. to index the file so readJsonLines can start partway through
+ * @returns {Promise<number>} - Lines written
+ */
+export async function writeJsonLines(filePath, values, { onLine } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  const out = fs.createWriteStream(tmp, 'utf-8');
+  let count = 0;
+  let offset = 0;
+  try {
+    for await (const value of values) {
+      const line = `${JSON.stringify(value)}\n`;
+      onLine?.(count, offset);
+      offset += Buffer.byteLength(line);
+      if (!out.write(line)) await new Promise((resolve) => out.once('drain', resolve));
+      count++;
+    }
+    await new Promise((resolve, reject) => out.end((err) => (err ? reject(err) : resolve())));
+  } catch (e) {
+    out.destroy();
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+  fs.renameSync(tmp, filePath);
+  return count;
+}
@@ -0,0 +1,105 @@
+/**
+ * Manual location overrides: corrected pins set from the map or table, kept on the server so the same fixes apply
+ * every time a customer list is uploaded again. An override is keyed by account ID when the sheet has an account
+ * column, else by canonical address; lookups try the account first and fall back to the address.
+ */
+
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+
+/**
+ * @typedef {Object} LocationOverride
+ * @property {string} key - `account:<id>` or `address:<canonical address>` (both lowercased)
+ * @property {string|null} accountId
+ * @property {string|null} canonicalAddress
+ * @property {number} lat
+ * @property {number} lng
+ * @property {string|null} snappedAddress - Address found at the pin by reverse geocoding
+ * @property {string} note - Free text, e.g. "loading dock on the north side"
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+function norm(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function accountKey(accountId) {
+  const id = norm(accountId);
+  return id ? `account:${id}` : null;
+}
+
+function addressKey(canonicalAddress) {
+  const address = norm(canonicalAddress);
+  return address ? `address:${address}` : null;
+}
+
+/**
+ * @param {string} filePath - JSON file holding { overrides: { [key]: LocationOverride } }
+ */
+export function createOverrideStore(filePath) {
+  let data = readJsonFile(filePath, { overrides: {} });
+  if (!data || typeof data.overrides !== 'object') data = { overrides: {} };
+
+  /**
+   * Overrides, most recently changed first.
+   * @param {{ q?: string }} [filter] - `q` is a case-insensitive substring of the account ID, an address or the note
+   * @returns {LocationOverride[]}
+   */
+  function list({ q = '' } = {}) {
+    const needle = norm(q);
+    return Object.values(data.overrides)
+      .filter((o) => !needle || [o.accountId, o.canonicalAddress, o.snappedAddress, o.note].some((v) => v && norm(v).includes(needle)))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Override for a row: by account ID, else by canonical address.
+   * @param {{ accountId?: string, canonicalAddress?: string }} row
+   * @returns {LocationOverride|null}
+   */
+  function find({ accountId, canonicalAddress } = {}) {
+    const byAccount = accountKey(accountId);
+    if (byAccount && data.overrides[byAccount]) return data.overrides[byAccount];
+    const byAddress = addressKey(canonicalAddress);
+    return (byAddress && data.overrides[byAddress]) || null;
+  }
+
+  /**
+   * Create or replace an override. Keyed by accountId when given, else by canonicalAddress. Throws on bad input.
+   * @param {{ accountId?: string, canonicalAddress?: string, lat: number, lng: number, snappedAddress?: string,
+   *   note?: string }} override
+   * @returns {LocationOverride}
+   */
+  function set({ accountId, canonicalAddress, lat, lng, snappedAddress, note = '' } = {}) {
+    const key = accountKey(accountId) || addressKey(canonicalAddress);
+    if (!key) throw new Error('An override needs an accountId or a canonicalAddress');
+    const la = Number(lat);
+    const ln = Number(lng);
+    if (!Number.isFinite(la) || la < -90 || la > 90) throw new Error('lat must be a number between -90 and 90');
+    if (!Number.isFinite(ln) || ln < -180 || ln > 180) throw new Error('lng must be a number between -180 and 180');
+    if (typeof note !== 'string') throw new Error('note must be a string');
+    if (snappedAddress != null && typeof snappedAddress !== 'string') throw new Error('snappedAddress must be a string');
+    const override = {
+      key,
+      accountId: accountId != null && String(accountId).trim() ? String(accountId).trim() : null,
+      canonicalAddress: canonicalAddress != null && String(canonicalAddress).trim() ? String(canonicalAddress).trim() : null,
+      lat: la,
+      lng: ln,
+      snappedAddress: snappedAddress?.trim() || null,
+      note: note.trim(),
+      updatedAt: new Date().toISOString(),
+    };
+    data.overrides[key] = override;
+    writeJsonFile(filePath, data);
+    return override;
+  }
+
+  /** @returns {boolean} - false if there was no such override */
+  function remove(key) {
+    if (!data.overrides[key]) return false;
+    delete data.overrides[key];
+    writeJsonFile(filePath, data);
+    return true;
+  }
+
+  return { list, find, set, remove };
+}
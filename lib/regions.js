@@ -0,0 +1,165 @@
+/**
+ * Country, state/province and postcode lookups: US ZIP / ZIP+4, Canadian postal codes and UK postcodes,
+ * plus postcode → region inference (US ZIP prefixes, Canadian postal code letters).
+ */
+
+import { STATES } from './usps.js';
+
+/** Canadian provinces and territories (Canada Post codes) → code. */
+export const PROVINCES = {
+  AB: 'AB', ALBERTA: 'AB',
+  BC: 'BC', 'BRITISH COLUMBIA': 'BC',
+  MB: 'MB', MANITOBA: 'MB',
+  NB: 'NB', 'NEW BRUNSWICK': 'NB',
+  NL: 'NL', 'NEWFOUNDLAND AND LABRADOR': 'NL', NEWFOUNDLAND: 'NL',
+  NS: 'NS', 'NOVA SCOTIA': 'NS',
+  NT: 'NT', 'NORTHWEST TERRITORIES': 'NT',
+  NU: 'NU', NUNAVUT: 'NU',
+  ON: 'ON', ONTARIO: 'ON',
+  PE: 'PE', 'PRINCE EDWARD ISLAND': 'PE',
+  QC: 'QC', QUEBEC: 'QC', 'QUÉBEC': 'QC', PQ: 'QC',
+  SK: 'SK', SASKATCHEWAN: 'SK',
+  YT: 'YT', YUKON: 'YT',
+};
+
+/** First letter of a Canadian postal code → province. X is split between NT and NU; NT is used. */
+const POSTAL_LETTER_PROVINCE = {
+  A: 'NL', B: 'NS', C: 'PE', E: 'NB', G: 'QC', H: 'QC', J: 'QC', K: 'ON', L: 'ON', M: 'ON', N: 'ON', P: 'ON',
+  R: 'MB', S: 'SK', T: 'AB', V: 'BC', X: 'NT', Y: 'YT',
+};
+
+/** First three ZIP digits → state, as inclusive ranges. Military (AA/AE/AP) and territories are omitted. */
+const ZIP_PREFIX_RANGES = [
+  [5, 5, 'NY'], [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'], [50, 59, 'VT'],
+  [60, 69, 'CT'], [70, 89, 'NJ'], [100, 149, 'NY'], [150, 196, 'PA'], [197, 199, 'DE'], [200, 200, 'DC'],
+  [201, 201, 'VA'], [202, 205, 'DC'], [206, 219, 'MD'], [220, 246, 'VA'], [247, 268, 'WV'], [270, 289, 'NC'],
+  [290, 299, 'SC'], [300, 319, 'GA'], [320, 339, 'FL'], [341, 349, 'FL'], [350, 369, 'AL'], [370, 385, 'TN'],
+  [386, 397, 'MS'], [398, 399, 'GA'], [400, 427, 'KY'], [430, 459, 'OH'], [460, 479, 'IN'], [480, 499, 'MI'],
+  [500, 528, 'IA'], [530, 549, 'WI'], [550, 567, 'MN'], [570, 577, 'SD'], [580, 588, 'ND'], [590, 599, 'MT'],
+  [600, 629, 'IL'], [630, 658, 'MO'], [660, 679, 'KS'], [680, 693, 'NE'], [700, 714, 'LA'], [716, 729, 'AR'],
+  [730, 732, 'OK'], [733, 733, 'TX'], [734, 749, 'OK'], [750, 799, 'TX'], [800, 816, 'CO'], [820, 831, 'WY'],
+  [832, 838, 'ID'], [840, 847, 'UT'], [850, 865, 'AZ'], [870, 884, 'NM'], [885, 885, 'TX'], [889, 898, 'NV'],
+  [900, 961, 'CA'], [967, 968, 'HI'], [970, 979, 'OR'], [980, 994, 'WA'], [995, 999, 'AK'],
+];
+
+/** Country names and codes seen in addresses/columns → ISO 3166 alpha-2 code. */
+const COUNTRIES = {
+  US: 'US',
+  USA: 'US',
+  'UNITED STATES': 'US',
+  'UNITED STATES OF AMERICA': 'US',
+  CAN: 'CA',
+  CANADA: 'CA',
+  UK: 'GB',
+  GB: 'GB',
+  GBR: 'GB',
+  'GREAT BRITAIN': 'GB',
+  'UNITED KINGDOM': 'GB',
+  ENGLAND: 'GB',
+  SCOTLAND: 'GB',
+  WALES: 'GB',
+  'NORTHERN IRELAND': 'GB',
+};
+
+/** Name appended to assembled addresses for the geocoder (US addresses are left as they were). */
+export const COUNTRY_NAMES = { CA: 'Canada', GB: 'United Kingdom' };
+
+// Full-string postcode formats. UK per the Royal Mail format (outward code + inward code), including GIR 0AA.
+const POSTCODE_FORMATS = [
+  { country: 'US', re: /^(\d{5})(?:[- ]?(\d{4}))?$/ },
+  { country: 'CA', re: /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]) ?(\d[ABCEGHJ-NPRSTV-Z]\d)$/i },
+  {
+    country: 'GB',
+    re: /^(GIR|[A-PR-UWYZ]\d{1,2}|[A-PR-UWYZ][A-HK-Y]\d{1,2}|[A-PR-UWYZ]\d[A-HJKPSTUW]|[A-PR-UWYZ][A-HK-Y]\d[ABEHMNPRV-Y]) ?(0AA|\d[ABD-HJLNP-UW-Z]{2})$/i,
+  },
+];
+
+/**
+ * Postcodes anywhere in a string: ZIP+4, Canadian and UK codes (5-digit ZIPs are too short to be mistaken for a
+ * phone number, so they aren't included). Used to protect postcodes from the cleaning rules.
+ */
+export const POSTCODE_ANYWHERE_RE = new RegExp(
+  [
+    '\\b\\d{5}-\\d{4}\\b',
+    '\\b[ABCEGHJ-NPRSTVXY]\\d[ABCEGHJ-NPRSTV-Z] ?\\d[ABCEGHJ-NPRSTV-Z]\\d\\b',
+    '\\b(?:[A-PR-UWYZ][A-HK-Y]?\\d[A-Z\\d]?) ?\\d[ABD-HJLNP-UW-Z]{2}\\b',
+  ].join('|'),
+  'gi'
+);
+
+/**
+ * US state or Canadian province code for a code or full name ("mi", "Michigan", "Ontario" → "MI", "MI", "ON").
+ * @param {string} value
+ * @returns {string} - Two-letter code, or '' if not recognized
+ */
+export function regionCode(value) {
+  const key = String(value ?? '').toUpperCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+  return STATES[key] || PROVINCES[key] || '';
+}
+
+/**
+ * ISO country code for a country name or code ("USA", "Canada", "United Kingdom" → "US", "CA", "GB").
+ * @returns {string} - '' if not recognized
+ */
+export function countryCode(value) {
+  const key = String(value ?? '').toUpperCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+  return COUNTRIES[key] || '';
+}
+
+/**
+ * Recognize and validate a postcode, returning it in its standard format.
+ * @param {string} value - e.g. "48038-1234", "n9a1a1", "sw1a 1aa"
+ * @param {string} [country] - Only accept this country's format
+ * @returns {{ postcode: string, country: 'US' | 'CA' | 'GB' } | null} - e.g. { postcode: 'N9A 1A1', country: 'CA' }
+ */
+export function matchPostcode(value, country) {
+  const s = String(value ?? '').trim();
+  for (const format of POSTCODE_FORMATS) {
+    if (country && format.country !== country) continue;
+    const m = s.match(format.re);
+    if (!m) continue;
+    const sep = format.country === 'US' ? '-' : ' ';
+    return { postcode: [m[1], m[2]].filter(Boolean).join(sep).toUpperCase(), country: format.country };
+  }
+  return null;
+}
+
+/**
+ * Split a trailing postcode off a part: "MI 48038" → { prefix: 'MI', ... }, "Manchester M1 1AE" → { prefix: 'Manchester', ... }.
+ * @param {string} value
+ * @returns {{ prefix: string, postcode: string, country: string } | null}
+ */
+export function splitTrailingPostcode(value) {
+  const words = String(value ?? '').trim().split(/\s+/);
+  // Try the last two words (UK/CA codes with a space) before the last word alone
+  for (const n of [2, 1]) {
+    if (words.length <= n) continue;
+    const match = matchPostcode(words.slice(-n).join(' '));
+    if (match) return { prefix: words.slice(0, -n).join(' '), ...match };
+  }
+  return null;
+}
+
+/** @returns {'US' | 'CA' | ''} - Country a region code belongs to */
+export function regionCountry(code) {
+  if (STATES[code] === code) return 'US';
+  if (PROVINCES[code] === code) return 'CA';
+  return '';
+}
+
+/**
+ * Work out the state/province and country from a postcode.
+ * @param {string} postcode - US ZIP / ZIP+4, Canadian postal code or UK postcode
+ * @returns {{ state: string, country: string } | null} - `state` is '' for UK postcodes
+ */
+export function regionFromPostcode(postcode) {
+  const match = matchPostcode(postcode);
+  if (!match) return null;
+  if (match.country === 'US') {
+    const prefix = parseInt(match.postcode.slice(0, 3), 10);
+    const range = ZIP_PREFIX_RANGES.find(([lo, hi]) => prefix >= lo && prefix <= hi);
+    return range ? { state: range[2], country: 'US' } : null;
+  }
+  if (match.country === 'CA') return { state: POSTAL_LETTER_PROVINCE[match.postcode[0]], country: 'CA' };
+  return { state: '', country: match.country };
+}
@@ -0,0 +1,232 @@
+/**
+ * Decode uploaded CSV bytes and guess their delimiter. Legacy exports are often not UTF-8: Excel's "CSV" on Windows
+ * writes Windows-1252, older systems Latin-1, and "Unicode text" is UTF-16. A byte-order mark wins; otherwise UTF-16
+ * is recognised by its NUL bytes, valid UTF-8 is taken as UTF-8, and anything else is read as a single-byte encoding.
+ */
+
+/** Encodings accepted as an override, in the order the UI lists them */
+export const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252', 'iso-8859-1'];
+
+const ENCODING_ALIASES = {
+  utf8: 'utf-8',
+  utf16: 'utf-16le',
+  'utf-16': 'utf-16le',
+  utf16le: 'utf-16le',
+  utf16be: 'utf-16be',
+  cp1252: 'windows-1252',
+  win1252: 'windows-1252',
+  latin1: 'iso-8859-1',
+  'latin-1': 'iso-8859-1',
+  'iso8859-1': 'iso-8859-1',
+};
+
+/** Delimiters we detect, with the names the API uses for them */
+export const DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+// Bytes 0x80-0x9F that Windows-1252 leaves undefined; seeing one means the text isn't Windows-1252
+const CP1252_UNDEFINED = new Set([0x81, 0x8d, 0x8f, 0x90, 0x9d]);
+
+// How much of the file the guesses look at
+const SNIFF_BYTES = 64 * 1024;
+const SNIFF_LINES = 20;
+
+/**
+ * Canonical encoding name for a user-supplied label, or null if unsupported. Empty means "detect".
+ * @param {string} [label]
+ * @returns {string|null|undefined} - undefined for an empty label
+ */
+export function normalizeEncoding(label) {
+  const key = String(label ?? '').trim().toLowerCase();
+  if (!key || key === 'auto') return undefined;
+  const name = ENCODING_ALIASES[key] || key;
+  return ENCODINGS.includes(name) ? name : null;
+}
+
+/**
+ * Delimiter name (comma, semicolon, tab) for a user-supplied name or character, or null if unsupported.
+ * @param {string} [value]
+ * @returns {string|null|undefined} - undefined for an empty value
+ */
+export function normalizeDelimiter(value) {
+  const v = String(value ?? '');
+  if (v === '' || v.trim().toLowerCase() === 'auto') return undefined;
+  const key = v.trim().toLowerCase();
+  if (DELIMITERS[key]) return key;
+  const char = key === '\\t' || v === '\t' ? '\t' : key;
+  return Object.keys(DELIMITERS).find((name) => DELIMITERS[name] === char) || null;
+}
+
+function bomEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+  return null;
+}
+
+// UTF-16 text that is mostly ASCII has a NUL in every other byte: odd offsets for little-endian, even for big-endian
+function utf16ByNulls(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) return null;
+  let evenNul = 0;
+  let oddNul = 0;
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenNul++;
+    if (sample[i + 1] === 0) oddNul++;
+  }
+  if (oddNul / pairs > 0.3 && evenNul / pairs < 0.05) return 'utf-16le';
+  if (evenNul / pairs > 0.3 && oddNul / pairs < 0.05) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Encoding detection fed chunk by chunk, so a large upload can be checked while it is read from disk. Single-byte
+ * text using 0x80-0x9F (curly quotes, €, Š...) is Windows-1252; text that only uses 0xA0-0xFF (é, ü, ß) reads the
+ * same in both and is reported as ISO-8859-1.
+ * @returns {{ push: (chunk: Buffer) => void, result: () => string }} - result() is one of ENCODINGS
+ */
+export function createEncodingSniffer() {
+  let head = null;
+  let decided = null; // from a BOM or UTF-16 NULs: no need to look at the rest
+  const utf8 = new TextDecoder('utf-8', { fatal: true });
+  let validUtf8 = true;
+  let usesC1 = false;
+  let undefinedC1 = false;
+
+  function push(chunk) {
+    if (!head) {
+      head = chunk.subarray(0, SNIFF_BYTES);
+      decided = bomEncoding(head) || utf16ByNulls(head);
+    }
+    if (decided) return;
+    if (validUtf8) {
+      try {
+        utf8.decode(chunk, { stream: true });
+      } catch {
+        validUtf8 = false;
+      }
+    }
+    if (undefinedC1) return;
+    for (const byte of chunk) {
+      if (byte < 0x80 || byte > 0x9f) continue;
+      usesC1 = true;
+      if (CP1252_UNDEFINED.has(byte)) {
+        undefinedC1 = true;
+        break;
+      }
+    }
+  }
+
+  function result() {
+    if (decided) return decided;
+    if (validUtf8) {
+      try {
+        utf8.decode();
+        return 'utf-8';
+      } catch {
+        // Ends in the middle of a character
+      }
+    }
+    return usesC1 && !undefinedC1 ? 'windows-1252' : 'iso-8859-1';
+  }
+
+  return { push, result };
+}
+
+/**
+ * Best guess at a buffer's encoding: one of ENCODINGS (see createEncodingSniffer).
+ * @param {Buffer} buffer
+ */
+export function detectEncoding(buffer) {
+  const sniffer = createEncodingSniffer();
+  sniffer.push(buffer);
+  return sniffer.result();
+}
+
+// Characters for bytes 0x80-0x9F in Windows-1252 (the undefined ones map to themselves, as browsers do). The rest of
+// the code page matches Latin-1. Decoded by hand: some Node builds' TextDecoder reads "windows-1252" as Latin-1.
+const CP1252_HIGH = [
+  0x20ac, 0x0081, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021,
+  0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, 0x008d, 0x017d, 0x008f,
+  0x0090, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014,
+  0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, 0x009d, 0x017e, 0x0178,
+];
+
+function decodeWindows1252(buffer) {
+  let text = '';
+  for (const byte of buffer) text += String.fromCharCode(byte >= 0x80 && byte <= 0x9f ? CP1252_HIGH[byte - 0x80] : byte);
+  return text;
+}
+
+/**
+ * Decoder for text read in chunks: `write` each chunk, then `end` for any character left incomplete. A byte-order
+ * mark at the start is dropped.
+ * @param {string} encoding - One of ENCODINGS
+ * @returns {{ write: (chunk: Buffer) => string, end: () => string }}
+ */
+export function createTextDecoder(encoding) {
+  let first = true;
+  const stripBom = (text) => {
+    if (!first || !text) return text;
+    first = false;
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  };
+  if (encoding === 'windows-1252' || encoding === 'iso-8859-1') {
+    // Single-byte: every chunk decodes on its own
+    const decode = encoding === 'windows-1252' ? decodeWindows1252 : (chunk) => chunk.toString('latin1');
+    return { write: (chunk) => stripBom(decode(chunk)), end: () => '' };
+  }
+  const decoder = new TextDecoder(encoding);
+  return {
+    write: (chunk) => stripBom(decoder.decode(chunk, { stream: true })),
+    end: () => stripBom(decoder.decode()),
+  };
+}
+
+/**
+ * Decode a buffer as `encoding` (one of ENCODINGS), dropping any byte-order mark.
+ * @param {Buffer} buffer
+ * @param {string} encoding
+ */
+export function decodeText(buffer, encoding) {
+  const decoder = createTextDecoder(encoding);
+  return decoder.write(buffer) + decoder.end();
+}
+
+// Count each delimiter outside double-quoted fields on one line
+function countDelimiters(line) {
+  const counts = Object.fromEntries(Object.keys(DELIMITERS).map((name) => [name, 0]));
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted) {
+      for (const name in DELIMITERS) if (DELIMITERS[name] === ch) counts[name]++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Guess the field delimiter from the first lines: the one that splits the header and the most following lines into
+ * the same number of fields. Falls back to comma.
+ * @param {string} text
+ * @returns {string} - a key of DELIMITERS
+ */
+export function detectDelimiter(text) {
+  const lines = text.slice(0, SNIFF_BYTES).split(/\r\n|\n|\r/).filter((l) => l.trim()).slice(0, SNIFF_LINES);
+  if (!lines.length) return 'comma';
+  const counts = lines.map(countDelimiters);
+  let best = 'comma';
+  let bestScore = -1;
+  for (const name of Object.keys(DELIMITERS)) {
+    const header = counts[0][name];
+    if (!header) continue;
+    const consistent = counts.filter((c) => c[name] === header).length;
+    // Consistency first, then more fields (a name containing a comma shouldn't beat a semicolon layout)
+    const score = consistent * 1000 + header;
+    if (score > bestScore) {
+      best = name;
+      bestScore = score;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,306 @@
+/**
+ * Uploaded files kept on the server, so sheets of any size can be parsed and geocoded without every row passing
+ * through the browser. Each upload is a directory under DATA_DIR/uploads holding the original file, one NDJSON file
+ * per sheet (a JSON row per line) and upload.json describing it. CSVs are decoded and parsed as a stream; workbooks
+ * are read whole, as SheetJS can't stream them, and written out the same way.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Transform, pipeline } from 'stream';
+import { parse } from 'csv-parse';
+import { parse as parseSync } from 'csv-parse/sync';
+import { looksLikeHeaderRow } from './columnMapping.js';
+import { readJsonFile, readJsonLines, writeJsonFile, writeJsonLines } from './jsonFile.js';
+import { DELIMITERS, createEncodingSniffer, createTextDecoder, decodeText, detectDelimiter } from './textDecoding.js';
+import { headerNames, isWorkbook, parseWorkbook } from './workbook.js';
+
+// Rows of each sheet kept in upload.json and returned with it, for the column mapping step
+const PREVIEW_ROWS = 100;
+
+// A sheet's byte offset is recorded every this many rows, so a page can be read without scanning from the top
+const LINE_INDEX_EVERY = 1000;
+
+// Bytes read for the delimiter guess and the workbook signature check
+const HEAD_BYTES = 64 * 1024;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_OPTIONS = {
+  // Named as pasted rows and worksheets are, so repeated headers aren't merged into one column
+  columns: (header) => headerNames(header),
+  skip_empty_lines: true,
+  trim: true,
+  relax_column_count: true,
+  relax_quotes: true,
+};
+
+/**
+ * @typedef {Object} UploadSheet
+ * @property {string} filename - Upload name; for a workbook with several worksheets, "<workbook> - <worksheet>.xlsx"
+ * @property {string|null} sheetName - Worksheet name (workbooks only)
+ * @property {string[]} headers
+ * @property {number} rowCount
+ * @property {Object[]} preview - First rows
+ * @property {number[]} [lineOffsets] - Byte offset in the NDJSON file of rows 0, LINE_INDEX_EVERY, 2 × LINE_INDEX_EVERY…
+ */
+
+/**
+ * @typedef {Object} Upload
+ * @property {string} id
+ * @property {string} filename
+ * @property {'csv'|'workbook'|'text'|'rows'} kind - 'text' for pasted text, 'rows' for rows posted as JSON
+ * @property {string|null} encoding - CSV only (see lib/textDecoding.js)
+ * @property {string|null} delimiter - CSV and pasted text: comma, semicolon or tab
+ * @property {number} size - Bytes
+ * @property {UploadSheet[]} sheets
+ * @property {string} createdAt
+ */
+
+function readHead(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEAD_BYTES);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, HEAD_BYTES, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+async function sniffEncoding(filePath) {
+  const sniffer = createEncodingSniffer();
+  for await (const chunk of fs.createReadStream(filePath)) sniffer.push(chunk);
+  return sniffer.result();
+}
+
+// Rows of a CSV file, decoded and parsed as they are read
+function csvRows(filePath, encoding, delimiter) {
+  const decoder = createTextDecoder(encoding);
+  const decode = new Transform({
+    transform(chunk, _enc, done) {
+      done(null, decoder.write(chunk) || undefined);
+    },
+    flush(done) {
+      done(null, decoder.end() || undefined);
+    },
+  });
+  const parser = parse({ ...CSV_OPTIONS, delimiter: DELIMITERS[delimiter] });
+  // A read or parse error destroys the parser, which ends the caller's loop with it
+  pipeline(fs.createReadStream(filePath), decode, parser, () => {});
+  return parser;
+}
+
+/**
+ * Write a sheet's rows to NDJSON, collecting what upload.json records about it.
+ * @returns {Promise<{ headers: string[], rowCount: number, preview: Object[], lineOffsets: number[] }>}
+ */
+async function writeSheet(filePath, rows) {
+  let headers = null;
+  const preview = [];
+  const lineOffsets = [];
+  const rowCount = await writeJsonLines(filePath, (async function* collect() {
+    for await (const row of rows) {
+      headers ??= Object.keys(row);
+      if (preview.length < PREVIEW_ROWS) preview.push(row);
+      yield row;
+    }
+  })(), {
+    onLine: (index, offset) => {
+      if (index % LINE_INDEX_EVERY === 0) lineOffsets.push(offset);
+    },
+  });
+  return { headers: headers || [], rowCount, preview, lineOffsets };
+}
+
+/**
+ * @param {string} dir - Directory for uploads; multer writes incoming files to its `incoming` subdirectory
+ * @param {{ retentionDays?: number }} [options] - Uploads older than this are deleted at startup
+ */
+export function createUploadStore(dir, { retentionDays = 7 } = {}) {
+  const uploads = new Map();
+  const incomingDir = path.join(dir, 'incoming');
+
+  const folder = (id) => path.join(dir, id);
+  const metaFile = (id) => path.join(folder(id), 'upload.json');
+  const originalFile = (id) => path.join(folder(id), 'original');
+  const sheetFile = (id, index) => path.join(folder(id), `sheet-${index}.ndjson`);
+
+  async function parseCsv(upload, { encoding, delimiter } = {}) {
+    const source = originalFile(upload.id);
+    upload.encoding = encoding || (await sniffEncoding(source));
+    upload.delimiter = delimiter || detectDelimiter(decodeText(readHead(source), upload.encoding));
+    const sheet = await writeSheet(sheetFile(upload.id, 0), csvRows(source, upload.encoding, upload.delimiter));
+    upload.sheets = [{ filename: upload.filename, sheetName: null, ...sheet }];
+  }
+
+  async function parseWorkbookFile(upload) {
+    const parsed = parseWorkbook(fs.readFileSync(originalFile(upload.id)));
+    if (!parsed.length) throw new Error('No worksheet has a header row');
+    const ext = (upload.filename.match(/\.[^.]+$/) || [''])[0];
+    const base = upload.filename.slice(0, upload.filename.length - ext.length);
+    upload.sheets = [];
+    for (const [index, { name, headers, rows }] of parsed.entries()) {
+      const sheet = await writeSheet(sheetFile(upload.id, index), rows);
+      upload.sheets.push({
+        filename: parsed.length > 1 ? `${base} - ${name}${ext}` : upload.filename,
+        sheetName: name,
+        ...sheet,
+        headers, // Includes columns that are empty in every row
+      });
+    }
+  }
+
+  function save(upload) {
+    writeJsonFile(metaFile(upload.id), upload);
+    uploads.set(upload.id, upload);
+    return upload;
+  }
+
+  function remove(id) {
+    uploads.delete(id);
+    fs.rmSync(folder(id), { recursive: true, force: true });
+  }
+
+  /**
+   * Take over a file multer wrote to `incomingDir` and parse it into sheets.
+   * @param {{ path: string, originalname?: string, size: number }} file
+   * @param {{ encoding?: string, delimiter?: string }} [format] - CSV overrides; detected when not given
+   * @returns {Promise<{ upload: Upload } | { error: string, detail: string }>}
+   */
+  async function create(file, format = {}) {
+    const id = crypto.randomUUID();
+    const filename = file.originalname || 'upload.csv';
+    fs.mkdirSync(folder(id), { recursive: true });
+    fs.renameSync(file.path, originalFile(id));
+    const kind = isWorkbook(filename, readHead(originalFile(id))) ? 'workbook' : 'csv';
+    const upload = { id, filename, kind, encoding: null, delimiter: null, size: file.size, sheets: [], createdAt: new Date().toISOString() };
+    try {
+      if (kind === 'workbook') await parseWorkbookFile(upload);
+      else await parseCsv(upload, format);
+    } catch (e) {
+      remove(id);
+      return { error: kind === 'workbook' ? 'Invalid workbook' : 'Invalid CSV', detail: e.message || String(e) };
+    }
+    return { upload: save(upload) };
+  }
+
+  /**
+   * Parse a stored CSV again with another encoding or delimiter.
+   * @returns {Promise<{ upload: Upload } | { error: string, detail?: string }>}
+   */
+  async function reparse(id, format = {}) {
+    const upload = uploads.get(id);
+    if (!upload) return { error: 'Upload not found' };
+    if (upload.kind !== 'csv') return { error: 'Only CSV uploads can be parsed with another encoding or delimiter' };
+    const next = { ...upload };
+    try {
+      await parseCsv(next, format);
+    } catch (e) {
+      return { error: 'Invalid CSV', detail: e.message || String(e) };
+    }
+    return { upload: save(next) };
+  }
+
+  /**
+   * Store rows posted as JSON (API clients) as a one-sheet upload, so jobs can read them like any other.
+   * @param {Object[]} rows
+   * @param {string} [filename]
+   * @returns {Promise<Upload>}
+   */
+  async function createFromRows(rows, filename = 'rows.json') {
+    const id = crypto.randomUUID();
+    const upload = { id, filename, kind: 'rows', encoding: null, delimiter: null, size: 0, sheets: [], createdAt: new Date().toISOString() };
+    const sheet = await writeSheet(sheetFile(id, 0), rows);
+    upload.size = fs.statSync(sheetFile(id, 0)).size;
+    upload.sheets = [{ filename, sheetName: null, ...sheet }];
+    return save(upload);
+  }
+
+  /**
+   * Store pasted rows (tab- or comma-separated, e.g. a range copied out of Excel) as a one-sheet upload. Without a
+   * header row, columns are named "Column 1", "Column 2"...
+   * @param {string} text
+   * @param {{ filename?: string, header?: boolean|'auto', delimiter?: string }} [options] - `header`: whether the first
+   *   row holds column names ('auto' guesses, see looksLikeHeaderRow); `delimiter` is detected when not given
+   * @returns {Promise<{ upload: Upload } | { error: string, detail: string }>}
+   */
+  async function createFromText(text, { filename = 'Pasted rows', header = 'auto', delimiter } = {}) {
+    const id = crypto.randomUUID();
+    const upload = {
+      id, filename, kind: 'text', encoding: null, delimiter: delimiter || detectDelimiter(text),
+      size: Buffer.byteLength(text), sheets: [], createdAt: new Date().toISOString(),
+    };
+    let records;
+    try {
+      records = parseSync(text, { ...CSV_OPTIONS, columns: false, delimiter: DELIMITERS[upload.delimiter] })
+        .filter((values) => values.some((v) => v !== ''));
+    } catch (e) {
+      return { error: 'Invalid pasted rows', detail: e.message || String(e) };
+    }
+    const hasHeader = header === 'auto' ? looksLikeHeaderRow(records) : header;
+    const width = records.reduce((n, values) => Math.max(n, values.length), 0);
+    const first = hasHeader ? records.shift() : [];
+    if (!records.length) return { error: 'Invalid pasted rows', detail: 'No rows to add' };
+    const headers = headerNames(Array.from({ length: width }, (_, i) => first[i]));
+    const rows = records.map((values) => Object.fromEntries(headers.map((h, i) => [h, values[i] ?? ''])));
+    const sheet = await writeSheet(sheetFile(id, 0), rows);
+    upload.sheets = [{ filename, sheetName: null, ...sheet }];
+    return { upload: save(upload) };
+  }
+
+  /** @returns {Upload|undefined} */
+  function get(id) {
+    return uploads.get(id);
+  }
+
+  function sheetOf(id, sheetIndex) {
+    const sheet = uploads.get(id)?.sheets[sheetIndex];
+    if (!sheet) throw new Error(`Upload ${id} sheet ${sheetIndex} is no longer available`);
+    return sheet;
+  }
+
+  /**
+   * Rows of one sheet, read from disk as they are iterated.
+   * @returns {AsyncGenerator<Object>}
+   */
+  function rows(id, sheetIndex = 0) {
+    sheetOf(id, sheetIndex);
+    return readJsonLines(sheetFile(id, sheetIndex));
+  }
+
+  /**
+   * A page of one sheet's rows. Reading starts at the indexed row nearest before `offset` (see lineOffsets), so a
+   * late page costs about as much as the first.
+   * @returns {Promise<Object[]>}
+   */
+  async function page(id, sheetIndex, offset, limit) {
+    const offsets = sheetOf(id, sheetIndex).lineOffsets || [];
+    const checkpoint = Math.min(Math.floor(offset / LINE_INDEX_EVERY), offsets.length - 1);
+    let index = checkpoint > 0 ? checkpoint * LINE_INDEX_EVERY : 0;
+    const start = checkpoint > 0 ? offsets[checkpoint] : 0;
+    const out = [];
+    for await (const row of readJsonLines(sheetFile(id, sheetIndex), { start })) {
+      if (index++ < offset) continue;
+      if (out.length >= limit) break;
+      out.push(row);
+    }
+    return out;
+  }
+
+  // Load stored uploads, dropping old ones and files left in incoming/ by interrupted requests
+  fs.rmSync(incomingDir, { recursive: true, force: true });
+  fs.mkdirSync(incomingDir, { recursive: true });
+  const cutoff = Date.now() - retentionDays * DAY_MS;
+  for (const name of fs.readdirSync(dir)) {
+    if (name === 'incoming') continue;
+    const upload = readJsonFile(metaFile(name), null);
+    if (!upload?.id || !Array.isArray(upload.sheets) || Date.parse(upload.createdAt) < cutoff) {
+      fs.rmSync(folder(name), { recursive: true, force: true });
+      continue;
+    }
+    uploads.set(upload.id, upload);
+  }
+
+  return { incomingDir, create, reparse, createFromText, createFromRows, get, rows, page, remove };
+}
@@ -0,0 +1,220 @@
+/**
+ * USPS Publication 28 lookup tables used to normalize addresses to a canonical form.
+ * Each table maps every accepted spelling (uppercase, no periods) to the standard abbreviation.
+ */
+
+/** Expand { STANDARD: [variants...] } into { VARIANT: STANDARD } (the standard maps to itself). */
+function invert(groups) {
+  const out = {};
+  for (const [standard, variants] of Object.entries(groups)) {
+    out[standard] = standard;
+    for (const v of variants) out[v] = standard;
+  }
+  return out;
+}
+
+/** Appendix C1 – street suffixes. */
+export const STREET_SUFFIXES = invert({
+  ALY: ['ALLEY', 'ALLEE', 'ALLY'],
+  ANX: ['ANNEX', 'ANEX', 'ANNX'],
+  ARC: ['ARCADE'],
+  AVE: ['AVENUE', 'AV', 'AVEN', 'AVENU', 'AVN', 'AVNUE'],
+  BYU: ['BAYOU', 'BAYOO'],
+  BCH: ['BEACH'],
+  BND: ['BEND'],
+  BLF: ['BLUFF', 'BLUF'],
+  BLVD: ['BOULEVARD', 'BOUL', 'BOULV'],
+  BR: ['BRANCH', 'BRNCH'],
+  BRG: ['BRIDGE', 'BRDGE'],
+  BRK: ['BROOK'],
+  BYP: ['BYPASS', 'BYPA', 'BYPAS', 'BYPS'],
+  CP: ['CAMP', 'CMP'],
+  CYN: ['CANYON', 'CANYN', 'CNYN'],
+  CPE: ['CAPE'],
+  CSWY: ['CAUSEWAY', 'CAUSWA'],
+  CTR: ['CENTER', 'CEN', 'CENT', 'CENTR', 'CENTRE', 'CNTER', 'CNTR'],
+  CIR: ['CIRCLE', 'CIRC', 'CIRCL', 'CRCL', 'CRCLE'],
+  CLF: ['CLIFF'],
+  CLB: ['CLUB'],
+  CMN: ['COMMON'],
+  COR: ['CORNER'],
+  CRSE: ['COURSE'],
+  CT: ['COURT'],
+  CTS: ['COURTS'],
+  CV: ['COVE'],
+  CRK: ['CREEK'],
+  CRES: ['CRESCENT', 'CRSENT', 'CRSNT'],
+  CRST: ['CREST'],
+  XING: ['CROSSING', 'CRSSNG'],
+  DL: ['DALE'],
+  DM: ['DAM'],
+  DR: ['DRIVE', 'DRIV', 'DRV'],
+  EST: ['ESTATE'],
+  ESTS: ['ESTATES'],
+  EXPY: ['EXPRESSWAY', 'EXP', 'EXPR', 'EXPRESS', 'EXPW'],
+  EXT: ['EXTENSION', 'EXTN', 'EXTNSN'],
+  FLS: ['FALLS'],
+  FRY: ['FERRY', 'FRRY'],
+  FLD: ['FIELD'],
+  FLDS: ['FIELDS'],
+  FLT: ['FLAT'],
+  FRD: ['FORD'],
+  FRST: ['FOREST', 'FORESTS'],
+  FRG: ['FORGE', 'FORG'],
+  FRK: ['FORK'],
+  FT: ['FORT', 'FRT'],
+  FWY: ['FREEWAY', 'FREEWY', 'FRWAY', 'FRWY'],
+  GDN: ['GARDEN', 'GARDN', 'GRDEN', 'GRDN'],
+  GDNS: ['GARDENS'],
+  GTWY: ['GATEWAY', 'GATEWY', 'GATWAY', 'GTWAY'],
+  GLN: ['GLEN'],
+  GRN: ['GREEN'],
+  GRV: ['GROVE', 'GROV'],
+  HBR: ['HARBOR', 'HARB', 'HARBR', 'HRBOR'],
+  HVN: ['HAVEN'],
+  HTS: ['HEIGHTS', 'HT'],
+  HWY: ['HIGHWAY', 'HIGHWY', 'HIWAY', 'HIWY', 'HWAY'],
+  HL: ['HILL'],
+  HLS: ['HILLS'],
+  HOLW: ['HOLLOW', 'HLLW', 'HOLLOWS', 'HOLWS'],
+  IS: ['ISLAND', 'ISLND'],
+  JCT: ['JUNCTION', 'JCTION', 'JCTN', 'JUNCTN', 'JUNCTON'],
+  KY: ['KEY'],
+  KNL: ['KNOLL', 'KNOL'],
+  LK: ['LAKE'],
+  LKS: ['LAKES'],
+  LNDG: ['LANDING', 'LNDNG'],
+  LN: ['LANE'],
+  LGT: ['LIGHT'],
+  LCK: ['LOCK'],
+  LDG: ['LODGE', 'LDGE', 'LODG'],
+  LOOP: ['LOOPS'],
+  MALL: [],
+  MNR: ['MANOR'],
+  MDW: ['MEADOW'],
+  MDWS: ['MEADOWS', 'MEDOWS'],
+  ML: ['MILL'],
+  MLS: ['MILLS'],
+  MSN: ['MISSION', 'MISSN', 'MSSN'],
+  MTWY: ['MOTORWAY'],
+  MT: ['MOUNT', 'MNT'],
+  MTN: ['MOUNTAIN', 'MNTAIN', 'MNTN', 'MOUNTIN', 'MTIN'],
+  NCK: ['NECK'],
+  ORCH: ['ORCHARD', 'ORCHRD'],
+  OVAL: ['OVL'],
+  PARK: ['PRK', 'PARKS'],
+  PKWY: ['PARKWAY', 'PARKWY', 'PKWAY', 'PKY', 'PARKWAYS', 'PKWYS'],
+  PASS: [],
+  PATH: ['PATHS'],
+  PIKE: ['PIKES'],
+  PNE: ['PINE'],
+  PNES: ['PINES'],
+  PL: ['PLACE'],
+  PLN: ['PLAIN'],
+  PLNS: ['PLAINS'],
+  PLZ: ['PLAZA', 'PLZA'],
+  PT: ['POINT'],
+  PTS: ['POINTS'],
+  PRT: ['PORT'],
+  PR: ['PRAIRIE', 'PRR'],
+  RADL: ['RADIAL', 'RAD', 'RADIEL'],
+  RNCH: ['RANCH', 'RANCHES', 'RNCHS'],
+  RPD: ['RAPID'],
+  RPDS: ['RAPIDS'],
+  RST: ['REST'],
+  RDG: ['RIDGE', 'RDGE'],
+  RIV: ['RIVER', 'RVR', 'RIVR'],
+  RD: ['ROAD'],
+  RDS: ['ROADS'],
+  RTE: ['ROUTE'],
+  ROW: [],
+  RUN: [],
+  SHR: ['SHORE'],
+  SHRS: ['SHORES'],
+  SKWY: ['SKYWAY'],
+  SPG: ['SPRING', 'SPNG', 'SPRNG'],
+  SPGS: ['SPRINGS'],
+  SQ: ['SQUARE', 'SQR', 'SQRE', 'SQU'],
+  STA: ['STATION', 'STATN', 'STN'],
+  ST: ['STREET', 'STRT', 'STR'],
+  STRM: ['STREAM', 'STREME'],
+  SMT: ['SUMMIT', 'SUMIT', 'SUMITT'],
+  TER: ['TERRACE', 'TERR'],
+  TRCE: ['TRACE', 'TRACES'],
+  TRAK: ['TRACK', 'TRACKS', 'TRK', 'TRKS'],
+  TRL: ['TRAIL', 'TRAILS', 'TRLS'],
+  TUNL: ['TUNNEL'],
+  TPKE: ['TURNPIKE', 'TRNPK', 'TURNPK'],
+  UN: ['UNION'],
+  VLY: ['VALLEY', 'VALLY', 'VLLY'],
+  VIA: ['VIADUCT', 'VDCT', 'VIADCT'],
+  VW: ['VIEW'],
+  VLG: ['VILLAGE', 'VILL', 'VILLAG', 'VILLG', 'VILLIAGE'],
+  VL: ['VILLE'],
+  VIS: ['VISTA', 'VIST', 'VST', 'VSTA'],
+  WALK: ['WALKS'],
+  WAY: ['WY'],
+  WL: ['WELL'],
+  WLS: ['WELLS'],
+});
+
+/** Section 233 – directionals. */
+export const DIRECTIONALS = invert({
+  N: ['NORTH'],
+  S: ['SOUTH'],
+  E: ['EAST'],
+  W: ['WEST'],
+  NE: ['NORTHEAST'],
+  NW: ['NORTHWEST'],
+  SE: ['SOUTHEAST'],
+  SW: ['SOUTHWEST'],
+});
+
+/** Appendix C2 – secondary unit designators that take a number (plus "#"). */
+export const UNIT_DESIGNATORS = invert({
+  APT: ['APARTMENT'],
+  BLDG: ['BUILDING'],
+  DEPT: ['DEPARTMENT'],
+  FL: ['FLOOR'],
+  HNGR: ['HANGAR'],
+  LOT: [],
+  OFC: ['OFFICE'],
+  PIER: [],
+  RM: ['ROOM'],
+  SLIP: [],
+  SPC: ['SPACE'],
+  STE: ['SUITE'],
+  STOP: [],
+  TRLR: ['TRAILER'],
+  UNIT: [],
+  '#': [],
+});
+
+/** Appendix B – US state and DC names. */
+export const STATES = invert({
+  AL: ['ALABAMA'], AK: ['ALASKA'], AZ: ['ARIZONA'], AR: ['ARKANSAS'], CA: ['CALIFORNIA'],
+  CO: ['COLORADO'], CT: ['CONNECTICUT'], DE: ['DELAWARE'], DC: ['DISTRICT OF COLUMBIA'], FL: ['FLORIDA'],
+  GA: ['GEORGIA'], HI: ['HAWAII'], ID: ['IDAHO'], IL: ['ILLINOIS'], IN: ['INDIANA'], IA: ['IOWA'],
+  KS: ['KANSAS'], KY: ['KENTUCKY'], LA: ['LOUISIANA'], ME: ['MAINE'], MD: ['MARYLAND'],
+  MA: ['MASSACHUSETTS'], MI: ['MICHIGAN'], MN: ['MINNESOTA'], MS: ['MISSISSIPPI'], MO: ['MISSOURI'],
+  MT: ['MONTANA'], NE: ['NEBRASKA'], NV: ['NEVADA'], NH: ['NEW HAMPSHIRE'], NJ: ['NEW JERSEY'],
+  NM: ['NEW MEXICO'], NY: ['NEW YORK'], NC: ['NORTH CAROLINA'], ND: ['NORTH DAKOTA'], OH: ['OHIO'],
+  OK: ['OKLAHOMA'], OR: ['OREGON'], PA: ['PENNSYLVANIA'], RI: ['RHODE ISLAND'], SC: ['SOUTH CAROLINA'],
+  SD: ['SOUTH DAKOTA'], TN: ['TENNESSEE'], TX: ['TEXAS'], UT: ['UTAH'], VT: ['VERMONT'], VA: ['VIRGINIA'],
+  WA: ['WASHINGTON'], WV: ['WEST VIRGINIA'], WI: ['WISCONSIN'], WY: ['WYOMING'],
+});
+
+/** Number words used in street names ("SIXTEEN MILE", "FIRST") → value. */
+export const NUMBER_WORDS = {
+  ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5, SIX: 6, SEVEN: 7, EIGHT: 8, NINE: 9, TEN: 10,
+  ELEVEN: 11, TWELVE: 12, THIRTEEN: 13, FOURTEEN: 14, FIFTEEN: 15, SIXTEEN: 16, SEVENTEEN: 17,
+  EIGHTEEN: 18, NINETEEN: 19, TWENTY: 20, THIRTY: 30, FORTY: 40, FIFTY: 50, SIXTY: 60, SEVENTY: 70,
+  EIGHTY: 80, NINETY: 90,
+};
+
+export const ORDINAL_WORDS = {
+  FIRST: 1, SECOND: 2, THIRD: 3, FOURTH: 4, FIFTH: 5, SIXTH: 6, SEVENTH: 7, EIGHTH: 8, NINTH: 9,
+  TENTH: 10, ELEVENTH: 11, TWELFTH: 12, THIRTEENTH: 13, FOURTEENTH: 14, FIFTEENTH: 15, SIXTEENTH: 16,
+  SEVENTEENTH: 17, EIGHTEENTH: 18, NINETEENTH: 19, TWENTIETH: 20, THIRTIETH: 30, FORTIETH: 40,
+  FIFTIETH: 50, SIXTIETH: 60, SEVENTIETH: 70, EIGHTIETH: 80, NINETIETH: 90,
+};
@@ -0,0 +1,104 @@
+/**
+ * Read Excel workbooks (.xlsx and legacy .xls) into the same { headers, rows } shape as a parsed CSV, one entry per
+ * worksheet. Cell types are kept: text stays text (so a postcode typed as "01234" keeps its zero), numbers and
+ * booleans stay numbers and booleans, and dates become ISO strings. A number displayed with leading zeros (e.g. a
+ * ZIP column formatted "00000") is read as its displayed text.
+ */
+
+import * as XLSX from 'xlsx';
+
+const WORKBOOK_EXT_RE = /\.(xlsx|xlsm|xls)$/i;
+
+// .xlsx is a zip archive; .xls is an OLE compound document
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+const OLE_MAGIC = [0xd0, 0xcf, 0x11, 0xe0];
+
+function startsWith(buffer, magic) {
+  return buffer.length >= magic.length && magic.every((b, i) => buffer[i] === b);
+}
+
+/**
+ * Whether an upload is a workbook rather than CSV text, by extension or file signature.
+ * @param {string} filename
+ * @param {Buffer} buffer
+ */
+export function isWorkbook(filename, buffer) {
+  return WORKBOOK_EXT_RE.test(filename || '') || startsWith(buffer, ZIP_MAGIC) || startsWith(buffer, OLE_MAGIC);
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function cellValue(cell) {
+  if (!cell) return '';
+  switch (cell.t) {
+    case 's':
+      return String(cell.v).trim();
+    case 'n':
+      // Leading zeros come from the number format (ZIP codes, account numbers): keep what Excel shows
+      if (typeof cell.w === 'string' && /^0\d/.test(cell.w.trim()) && !String(cell.v).startsWith('0')) return cell.w.trim();
+      return cell.v;
+    case 'b':
+      return cell.v;
+    case 'd': {
+      const d = cell.v;
+      if (!(d instanceof Date) || Number.isNaN(d.getTime())) return cell.w ?? '';
+      const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+      return d.getHours() || d.getMinutes() || d.getSeconds()
+        ? `${date}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+        : date;
+    }
+    default:
+      // 'e' (#N/A, #REF!...) and empty stubs
+      return '';
+  }
+}
+
+/**
+ * Column names from a header row's values: blanks become "Column N", repeats get " (2)", " (3)"...
+ * @param {unknown[]} values
+ * @returns {string[]}
+ */
+export function headerNames(values) {
+  const seen = new Map();
+  return values.map((value, i) => {
+    const base = String(value ?? '').trim() || `Column ${i + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base} (${count})` : base;
+  });
+}
+
+/**
+ * Parse every worksheet that has a header row. Empty rows are skipped; empty cells are ''.
+ * @param {Buffer} buffer
+ * @returns {{ name: string, headers: string[], rows: Object[] }[]}
+ */
+export function parseWorkbook(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, cellNF: true });
+  const sheets = [];
+  for (const name of workbook.SheetNames) {
+    const sheet = workbook.Sheets[name];
+    if (!sheet?.['!ref']) continue;
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const cellAt = (r, c) => sheet[XLSX.utils.encode_cell({ r, c })];
+    const columns = [];
+    for (let c = range.s.c; c <= range.e.c; c++) columns.push(c);
+
+    const headers = headerNames(columns.map((c) => cellValue(cellAt(range.s.r, c))));
+    const rows = [];
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+      const values = columns.map((c) => cellValue(cellAt(r, c)));
+      if (values.every((v) => v === '')) continue;
+      rows.push(Object.fromEntries(headers.map((h, i) => [h, values[i]])));
+    }
+    // Drop trailing "Column N" headers of columns that only hold stray formatting
+    while (headers.length && /^Column \d+$/.test(headers[headers.length - 1]) && rows.every((row) => row[headers[headers.length - 1]] === '')) {
+      const h = headers.pop();
+      rows.forEach((row) => delete row[h]);
+    }
+    if (headers.length) sheets.push({ name, headers, rows });
+  }
+  return sheets;
+}
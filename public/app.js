@@ -8,6 +8,7 @@ const sheetsList = document.getElementById('sheetsList');
 const resultsSection = document.getElementById('resultsSection');
 const tableHead = document.getElementById('tableHead');
 const tableBody = document.getElementById('tableBody');
+const tablePager = document.getElementById('tablePager');
 const exportKml = document.getElementById('exportKml');
 const addToMyMaps = document.getElementById('addToMyMaps');
 const exportCsv = document.getElementById('exportCsv');
@@ -24,13 +25,66 @@ const confirmCreateMapBtn = document.getElementById('confirmCreateMapBtn');
 const mymapsPreview = document.getElementById('mymapsPreview');
 const mymapsIframe = document.getElementById('mymapsIframe');
 const openMapLink = document.getElementById('openMapLink');
+const profileSelect = document.getElementById('profileSelect');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const rulesList = document.getElementById('rulesList');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const ruleSamples = document.getElementById('ruleSamples');
+const testRulesBtn = document.getElementById('testRulesBtn');
+const ruleTestWrap = document.getElementById('ruleTestWrap');
+const ruleTestBody = document.getElementById('ruleTestBody');
+const profileNameInput = document.getElementById('profileNameInput');
+const saveProfileBtn = document.getElementById('saveProfileBtn');
+const rulesStatus = document.getElementById('rulesStatus');
+const minConfidenceSelect = document.getElementById('minConfidence');
+const editPinsToggle = document.getElementById('editPinsToggle');
+const mapEditTools = document.getElementById('mapEditTools');
+const placeRowSelect = document.getElementById('placeRowSelect');
+const saveCorrectionsBtn = document.getElementById('saveCorrectionsBtn');
+const mapEditStatus = document.getElementById('mapEditStatus');
+const reviewList = document.getElementById('reviewList');
+const reviewCount = document.getElementById('reviewCount');
+const reviewStatus = document.getElementById('reviewStatus');
+const cancelJobsBtn = document.getElementById('cancelJobsBtn');
+const resumeJobsBtn = document.getElementById('resumeJobsBtn');
+const mappingSection = document.getElementById('mappingSection');
+const mappingList = document.getElementById('mappingList');
+const confirmMappingBtn = document.getElementById('confirmMappingBtn');
+const pasteRows = document.getElementById('pasteRows');
+const pasteText = document.getElementById('pasteText');
+const pasteName = document.getElementById('pasteName');
+const pasteHeader = document.getElementById('pasteHeader');
+const addPasteBtn = document.getElementById('addPasteBtn');
 
 let currentMapId = null;
-let sheets = []; // Array of { filename, headers, rows, geocodedRows, selected, layerName }
+
+// Upload extensions, stripped from file names for layer and export names
+const FILE_EXT_RE = /\.(csv|xlsx|xlsm|xls)$/i;
+
+// Rows per request when loading results from the server, and per page of the table
+const TABLE_PAGE_SIZE = 500;
+
+// Pins on the map from which they are drawn on one shared canvas instead of one SVG element each
+const CANVAS_MIN_POINTS = 2000;
+
+let sheets = []; // Array of { filename, uploadId, sheetIndex, rowCount, headers, rows (first rows), mapping, preset, popupColumns, profile, defaultState, jobId, completed, points ([rowIndex, lat, lng] per pin), unpinned ([rowIndex, name] per geocoded row without a pin), failed, reviewOffset, selected, layerName }
 let activeSheetIndex = 0; // Which sheet is being viewed
+let tablePage = 0; // Page of the combined table of selected sheets
 let mapInstance = null;
-let mapMarkers = [];
+let mapLayers = []; // One marker cluster group per selected sheet
+let canvasRenderer = null;
 let lastMapBounds = null;
+let editMode = false; // Map markers can be dragged, and rows without a pin placed by clicking the map
+const pendingCorrections = new Map(); // rowKey → { sheet, rowIndex, row }, for pins moved but not yet saved as overrides
+// Rows stay on the server; only the rows on screen are kept, by rowKey. A render bumps its counter so a page that
+// arrives late doesn't replace a newer one.
+const tableRows = new Map();
+const reviewRows = new Map();
+let tableRender = 0;
+let reviewRender = 0;
+let cleaningProfiles = []; // [{ name, builtIn, rules }] from /api/cleaning-profiles
+let editingRules = []; // Rules shown in the editor (copy of the selected profile, possibly edited)
+let importPresets = []; // [{ name, builtIn, headers, mapping, popupColumns, profile, defaultState }] from /api/import-presets
 
 // Helper to detect session expired and open re-auth page
 function handleError(message) {
@@ -129,29 +183,17 @@ parseBtn.addEventListener('click', async () => {
   if (!files?.length) return;
   parseBtn.disabled = true;
   sheets = [];
+  pendingCorrections.clear();
+  localStorage.removeItem(JOBS_STORAGE_KEY);
   
   try {
     // Parse all files
     for (const file of files) {
-      const form = new FormData();
-      form.append('file', file);
-      const res = await fetch('/api/parse', { method: 'POST', body: form });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.detail || data.error || `Parse failed for ${file.name}`);
-      const baseName = (data.filename || file.name).replace(/\.csv$/i, '');
-      sheets.push({
-        filename: data.filename || file.name,
-        headers: data.headers,
-        rows: data.rows,
-        geocodedRows: [],
-        selected: true, // All selected by default
-        layerName: baseName, // Default layer name from filename
-      });
+      const data = await parseUpload(file);
+      // A workbook comes back as one entry per worksheet
+      for (const parsed of data.sheets || [data]) sheets.push(sheetFromParse(parsed, data, file));
     }
-    
-    // Geocode all sheets
-    await geocodeAllSheets();
-    
+    await showMappingStep(sheets);
   } catch (e) {
     alert(e.message || 'Failed to parse CSV(s)');
   } finally {
@@ -159,47 +201,558 @@ parseBtn.addEventListener('click', async () => {
   }
 });
 
+// Use the preset matched by header signature (if any) for new sheets, then let the user confirm the mapping of every
+// sheet not geocoded yet
+async function showMappingStep(newSheets) {
+  await loadImportPresets();
+  newSheets.forEach((sheet) => {
+    if (sheet.detectedPreset) applyPreset(sheet, sheet.detectedPreset);
+  });
+  renderColumnMapping();
+  mappingSection.classList.remove('hidden');
+  resultsSection.classList.add('hidden');
+  sheetsSection.classList.add('hidden');
+}
+
+// Pasted rows become one more sheet, parsed by the server like an uploaded CSV
+addPasteBtn.addEventListener('click', async () => {
+  if (!pasteText.value.trim()) return;
+  const pasted = sheets.filter((s) => s.pasted).length;
+  // Keep mapping edits not confirmed yet; the list is drawn again with the new sheet
+  if (!mappingSection.classList.contains('hidden')) readColumnMapping();
+  addPasteBtn.disabled = true;
+  try {
+    const res = await fetch('/api/parse-text', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: pasteText.value,
+        filename: pasteName.value.trim() || (pasted ? `Pasted rows ${pasted + 1}` : 'Pasted rows'),
+        header: pasteHeader.value === 'auto' ? 'auto' : pasteHeader.value === 'yes',
+      }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.detail || data.error || 'Failed to read the pasted rows');
+    const sheet = { ...sheetFromParse(data, data, { name: data.filename }), pasted: true };
+    sheets.push(sheet);
+    await showMappingStep([sheet]);
+    pasteText.value = '';
+    pasteName.value = '';
+    pasteRows.open = false;
+  } catch (e) {
+    alert(e.message || 'Failed to read the pasted rows');
+  } finally {
+    addPasteBtn.disabled = false;
+  }
+});
+
+// Upload one file to /api/parse. The server keeps it; only each sheet's first rows come back
+async function parseUpload(file) {
+  const form = new FormData();
+  form.append('file', file);
+  const res = await fetch('/api/parse', { method: 'POST', body: form });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.detail || data.error || `Parse failed for ${file.name}`);
+  return data;
+}
+
+function sheetFromParse(parsed, data, file) {
+  const filename = parsed.filename || data.filename || file.name;
+  return {
+    filename,
+    uploadId: parsed.uploadId, // Stored upload and sheet the geocoding job reads from
+    sheetIndex: parsed.sheetIndex,
+    rowCount: parsed.rowCount,
+    encoding: parsed.encoding, // CSV only: detected (or chosen) encoding and delimiter
+    delimiter: parsed.delimiter,
+    headers: parsed.headers,
+    rows: parsed.rows, // First rows only, for the mapping step
+    mapping: parsed.mapping, // Suggested by the server; confirmed/edited by the user before geocoding
+    suggestedMapping: parsed.mapping,
+    detectedPreset: parsed.preset,
+    preset: '',
+    popupColumns: [],
+    profile: '',
+    defaultState: '',
+    points: [],
+    unpinned: [],
+    failed: 0,
+    selected: true, // All selected by default
+    layerName: filename.replace(FILE_EXT_RE, ''), // Default layer name from filename
+  };
+}
+
+// Parse a CSV sheet again with another encoding/delimiter, e.g. when names show as "CafÃ©"; its mapping is re-suggested
+async function reparseSheet(idx, format) {
+  readColumnMapping();
+  const old = sheets[idx];
+  try {
+    const res = await fetch(`/api/uploads/${old.uploadId}/reparse`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(format),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.detail || data.error || 'Failed to parse CSV');
+    const sheet = sheetFromParse(data, data, { name: old.filename });
+    sheet.layerName = old.layerName;
+    sheet.selected = old.selected;
+    if (sheet.detectedPreset) applyPreset(sheet, sheet.detectedPreset);
+    sheets[idx] = sheet;
+  } catch (e) {
+    alert(e.message || 'Failed to parse CSV');
+  }
+  renderColumnMapping();
+}
+
+// CSV encodings and delimiters the server understands (see lib/textDecoding.js)
+const ENCODING_OPTIONS = [
+  ['utf-8', 'UTF-8'],
+  ['windows-1252', 'Windows-1252 (Western)'],
+  ['iso-8859-1', 'Latin-1 (ISO-8859-1)'],
+  ['utf-16le', 'UTF-16 LE'],
+  ['utf-16be', 'UTF-16 BE'],
+];
+const DELIMITER_OPTIONS = [
+  ['comma', 'Comma'],
+  ['semicolon', 'Semicolon'],
+  ['tab', 'Tab'],
+];
+
+// Roles a column can be mapped to (see lib/columnMapping.js); street takes several columns
+const MAPPING_FIELDS = [
+  ['city', 'City / town'],
+  ['state', 'State / province'],
+  ['postcode', 'Postcode / ZIP'],
+  ['country', 'Country'],
+  ['name', 'Name'],
+  ['accountId', 'Account ID'],
+];
+
+// Sheets already geocoded keep their mapping; only new ones (e.g. rows pasted afterwards) are listed
+function renderColumnMapping() {
+  mappingList.innerHTML = sheets.map((sheet, i) => {
+    if (sheet.jobId) return '';
+    const m = sheet.mapping || {};
+    const street = m.street || [];
+    const popup = sheet.popupColumns || [];
+    const columnBoxes = (attr, checked) => sheet.headers.map((h) => `
+      <label><input type="checkbox" ${attr}="${escapeHtml(h)}" ${checked.includes(h) ? 'checked' : ''} /> ${escapeHtml(h)}</label>
+    `).join('');
+    const selects = MAPPING_FIELDS.map(([role, label]) => `
+      <label>${label}
+        <select data-role="${role}">
+          <option value="">(none)</option>
+          ${sheet.headers.map((h) => `<option value="${escapeHtml(h)}" ${m[role] === h ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('')}
+        </select>
+      </label>
+    `).join('');
+    const presetOptions = importPresets
+      .map((p) => `<option value="${escapeHtml(p.name)}" ${sheet.preset === p.name ? 'selected' : ''}>${escapeHtml(p.name)}${p.builtIn ? ' (built-in)' : ''}</option>`)
+      .join('');
+    const profileOptions = cleaningProfiles
+      .map((p) => `<option value="${escapeHtml(p.name)}" ${sheet.profile === p.name ? 'selected' : ''}>${escapeHtml(p.name)}</option>`)
+      .join('');
+    const formatSelect = (field, options) => `
+      <select data-format="${field}">
+        ${options.map(([value, label]) => `<option value="${value}" ${sheet[field] === value ? 'selected' : ''}>${label}</option>`).join('')}
+      </select>`;
+    const sample = sheet.rows[0] ? sheet.headers.map((h) => sheet.rows[0][h]).filter((v) => v !== '' && v != null).join(' | ') : '';
+    // CSV only: the encoding and delimiter the server detected, changeable if the sample looks garbled
+    const format = sheet.encoding ? `
+      <div class="mapping-roles mapping-format">
+        <label>Encoding ${formatSelect('encoding', ENCODING_OPTIONS)}</label>
+        <label>Delimiter ${formatSelect('delimiter', DELIMITER_OPTIONS)}</label>
+        <span class="mapping-sample" title="First row">${escapeHtml(sample)}</span>
+      </div>` : '';
+    return `
+    <div class="mapping-item" data-index="${i}">
+      <p class="mapping-sheet-name">${escapeHtml(sheet.filename)} <span class="mapping-row-count">(${sheet.rowCount} rows)</span>${sheet.detectedPreset ? ` <span class="mapping-detected">detected: ${escapeHtml(sheet.detectedPreset)}</span>` : ''}</p>
+      ${format}
+      <div class="mapping-roles">
+        <label>Preset
+          <select data-preset>
+            <option value="">(none – suggested mapping)</option>
+            ${presetOptions}
+          </select>
+        </label>
+        <label>Cleaning profile
+          <select data-field="profile">
+            <option value="">(selected in Cleaning rules)</option>
+            ${profileOptions}
+          </select>
+        </label>
+        <label>Default state
+          <input type="text" class="mapping-state" data-field="defaultState" value="${escapeHtml(sheet.defaultState || '')}" placeholder="MI" />
+        </label>
+      </div>
+      <div class="mapping-street"><span>Street columns:</span>${columnBoxes('data-street', street)}</div>
+      <div class="mapping-roles">${selects}</div>
+      <div class="mapping-street"><span>Popup columns:</span>${columnBoxes('data-popup', popup)}</div>
+      <div class="mapping-roles">
+        <input type="text" class="mapping-preset-name" data-preset-name placeholder="Preset name" value="${escapeHtml(sheet.preset && !importPresets.find((p) => p.name === sheet.preset)?.builtIn ? sheet.preset : '')}" />
+        <button type="button" data-save-preset>Save as preset</button>
+      </div>
+    </div>
+  `;
+  }).join('');
+
+  mappingList.querySelectorAll('.mapping-item').forEach((el) => {
+    const idx = parseInt(el.dataset.index);
+    el.querySelector('[data-preset]').addEventListener('change', (e) => {
+      readColumnMapping();
+      applyPreset(sheets[idx], e.target.value);
+      renderColumnMapping();
+    });
+    el.querySelector('[data-save-preset]').addEventListener('click', () => {
+      readColumnMapping();
+      saveSheetAsPreset(sheets[idx], el.querySelector('[data-preset-name]').value.trim());
+    });
+    el.querySelectorAll('[data-format]').forEach((select) => {
+      select.addEventListener('change', () => {
+        const value = (field) => el.querySelector(`[data-format="${field}"]`).value;
+        reparseSheet(idx, { encoding: value('encoding'), delimiter: value('delimiter') });
+      });
+    });
+  });
+}
+
+// Read the (possibly edited) mapping and options for each sheet back from the form
+function readColumnMapping() {
+  mappingList.querySelectorAll('.mapping-item').forEach((el) => {
+    const sheet = sheets[parseInt(el.dataset.index)];
+    const mapping = { street: [] };
+    // Keep the sheet's column order for street lines
+    el.querySelectorAll('[data-street]').forEach((cb) => {
+      if (cb.checked) mapping.street.push(cb.dataset.street);
+    });
+    el.querySelectorAll('[data-role]').forEach((select) => {
+      mapping[select.dataset.role] = select.value;
+    });
+    sheet.mapping = mapping;
+    sheet.popupColumns = [...el.querySelectorAll('[data-popup]')].filter((cb) => cb.checked).map((cb) => cb.dataset.popup);
+    sheet.profile = el.querySelector('[data-field="profile"]').value;
+    sheet.defaultState = el.querySelector('[data-field="defaultState"]').value.trim().toUpperCase();
+  });
+}
+
+// Use a preset's mapping and options for a sheet; an empty name goes back to the server's suggested mapping
+function applyPreset(sheet, name) {
+  const preset = importPresets.find((p) => p.name === name);
+  sheet.preset = preset ? preset.name : '';
+  sheet.mapping = preset ? { ...preset.mapping, street: [...preset.mapping.street] } : sheet.suggestedMapping;
+  sheet.popupColumns = preset ? [...preset.popupColumns] : [];
+  sheet.profile = preset ? preset.profile : '';
+  sheet.defaultState = preset ? preset.defaultState : '';
+}
+
+async function saveSheetAsPreset(sheet, name) {
+  if (!name) {
+    alert('Enter a preset name.');
+    return;
+  }
+  try {
+    const res = await fetch(`/api/import-presets/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        headers: sheet.headers,
+        mapping: sheet.mapping,
+        popupColumns: sheet.popupColumns,
+        profile: sheet.profile,
+        defaultState: sheet.defaultState,
+      }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save preset');
+    await loadImportPresets();
+    sheet.preset = name;
+    renderColumnMapping();
+  } catch (e) {
+    alert(e.message);
+  }
+}
+
+async function loadImportPresets() {
+  try {
+    const res = await fetch('/api/import-presets');
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to load import presets');
+    importPresets = data.presets || [];
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+confirmMappingBtn.addEventListener('click', async () => {
+  readColumnMapping();
+  const unmapped = sheets.find((s) => !s.mapping.street.length && !s.mapping.city && !s.mapping.postcode);
+  if (unmapped) {
+    alert(`Map at least one address column for ${unmapped.filename}.`);
+    return;
+  }
+  confirmMappingBtn.disabled = true;
+  mappingSection.classList.add('hidden');
+  try {
+    await geocodeAllSheets();
+  } finally {
+    confirmMappingBtn.disabled = false;
+  }
+});
+
+// Name shown on map markers and KML placemarks: the mapped name column, else the cleaned address
+function rowName(row, sheet) {
+  const key = sheet?.mapping?.name;
+  return (key && row[key]) || row.cleanedAddress || '';
+}
+
+// Extra "Column: value" lines for map popups and KML descriptions (the sheet's popup columns)
+function popupLines(row, sheet) {
+  return (sheet?.popupColumns || [])
+    .filter((key) => row[key] != null && row[key] !== '')
+    .map((key) => `${key}: ${row[key]}`);
+}
+
+// Running jobs are remembered in localStorage so a page refresh picks them up again
+const JOBS_STORAGE_KEY = 'addressPlotterJobs';
+
+function saveJobs() {
+  const saved = sheets.map(({ jobId, uploadId, sheetIndex, filename, headers, layerName, mapping, popupColumns, preset, profile, defaultState }) =>
+    ({ jobId, uploadId, sheetIndex, filename, headers, layerName, mapping, popupColumns, preset, profile, defaultState }));
+  localStorage.setItem(JOBS_STORAGE_KEY, JSON.stringify(saved));
+}
+
+// Start a server-side geocoding job per sheet, then follow their progress
 async function geocodeAllSheets() {
-  progressSection.classList.remove('hidden');
   resultsSection.classList.add('hidden');
   sheetsSection.classList.add('hidden');
-  
-  const totalRows = sheets.reduce((sum, s) => sum + s.rows.length, 0);
-  let processedRows = 0;
-  
-  for (let i = 0; i < sheets.length; i++) {
-    const sheet = sheets[i];
-    progressText.textContent = `Geocoding ${sheet.filename} (${sheet.rows.length} rows)…`;
-    progressBar.value = (processedRows / totalRows) * 100;
-    
+
+  // Sheets with a job already (geocoded before rows were pasted in) keep their results
+  for (const sheet of sheets.filter((s) => !s.jobId)) {
     try {
-      const res = await fetch('/api/clean-and-geocode', {
+      const res = await fetch('/api/geocode-jobs', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ rows: sheet.rows }),
+        body: JSON.stringify({
+          upload: { id: sheet.uploadId, sheet: sheet.sheetIndex },
+          mapping: sheet.mapping,
+          profile: sheet.profile || profileSelect.value || undefined,
+          state: sheet.defaultState || undefined,
+          meta: { filename: sheet.filename },
+        }),
       });
       const data = await res.json();
       if (!res.ok) throw new Error(data.error || 'Geocode failed');
-      sheet.geocodedRows = data.rows;
+      sheet.jobId = data.id;
+      sheet.completed = 0;
     } catch (e) {
       alert(`Geocoding failed for ${sheet.filename}: ${e.message}`);
-      sheet.geocodedRows = sheet.rows; // Use original rows as fallback
+      sheet.jobId = null;
     }
-    
-    processedRows += sheet.rows.length;
-    progressBar.value = (processedRows / totalRows) * 100;
   }
-  
-  progressSection.classList.add('hidden');
-  
-  // Show sheets list and results
+  saveJobs();
+  await followJobs();
+}
+
+function updateProgress() {
+  const total = sheets.reduce((sum, s) => sum + s.rowCount, 0);
+  const done = sheets.reduce((sum, s) => sum + (s.jobId ? s.completed || 0 : s.rowCount), 0);
+  progressText.textContent = `Geocoding… ${done} of ${total} rows`;
+  progressBar.value = total ? (done / total) * 100 : 100;
+}
+
+// Resolves with the job's status once it stops running
+function watchJob(sheet) {
+  return new Promise((resolve) => {
+    const source = new EventSource(`/api/geocode-jobs/${sheet.jobId}/events`);
+    let settled = false;
+    const settle = (status) => {
+      if (settled) return;
+      settled = true;
+      source.close();
+      resolve(status);
+    };
+    source.addEventListener('row', (e) => {
+      sheet.completed = JSON.parse(e.data).completed;
+      updateProgress();
+    });
+    source.addEventListener('status', (e) => {
+      const job = JSON.parse(e.data);
+      sheet.completed = job.completed;
+      updateProgress();
+      if (job.status !== 'running') settle(job.status);
+    });
+    // EventSource keeps reconnecting for as long as the server is away; poll instead, which gives up eventually
+    source.onerror = () => {
+      if (settled) return;
+      source.close();
+      pollJob(sheet).then(settle);
+    };
+  });
+}
+
+// How often a job is polled once its event stream drops, and how long the server may stay unreachable meanwhile
+const JOB_POLL_MS = 3000;
+const JOB_UNREACHABLE_MS = 60000;
+
+// Resolves with the job's status once it stops running, or 'unreachable' when the server stops answering
+async function pollJob(sheet) {
+  let lastContact = Date.now();
+  for (;;) {
+    await new Promise((r) => setTimeout(r, JOB_POLL_MS));
+    try {
+      const res = await fetch(`/api/geocode-jobs/${sheet.jobId}`);
+      if (res.status === 404) return 'failed';
+      if (res.ok) {
+        const job = await res.json();
+        lastContact = Date.now();
+        sheet.completed = job.completed;
+        updateProgress();
+        if (job.status !== 'running') return job.status;
+      }
+    } catch {
+      // Network error: try again until JOB_UNREACHABLE_MS has passed
+    }
+    if (Date.now() - lastContact > JOB_UNREACHABLE_MS) return 'unreachable';
+  }
+}
+
+// Key of a row in pendingCorrections, tableRows and reviewRows
+function rowKey(sheet, rowIndex) {
+  return `${sheets.indexOf(sheet)}:${rowIndex}`;
+}
+
+// A page of a sheet's rows: its job's results (rows not processed yet come back as uploaded), or the uploaded rows
+// of a sheet whose job couldn't be started
+async function fetchRows(sheet, offset, limit) {
+  const url = sheet.jobId
+    ? `/api/geocode-jobs/${sheet.jobId}/results`
+    : `/api/uploads/${sheet.uploadId}/sheets/${sheet.sheetIndex}/rows`;
+  const res = await fetch(`${url}?offset=${offset}&limit=${limit}`);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed to load rows');
+  return data.rows;
+}
+
+async function fetchRow(sheet, rowIndex) {
+  const [row] = await fetchRows(sheet, rowIndex, 1);
+  if (!row) throw new Error(`Row ${rowIndex + 1} not found`);
+  return row;
+}
+
+// Status and map pins of a sheet's job; its rows are fetched a page at a time as the table and review list need them
+async function loadJobResults(sheet) {
+  let res = await fetch(`/api/geocode-jobs/${sheet.jobId}`);
+  const job = await res.json();
+  if (!res.ok) throw new Error(job.error || 'Failed to load job');
+  sheet.completed = job.completed;
+  sheet.rowCount = job.total;
+  res = await fetch(`/api/geocode-jobs/${sheet.jobId}/points?${new URLSearchParams({ nameColumn: sheet.mapping?.name || '' })}`);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed to load pins');
+  Object.assign(sheet, { points: data.points, unpinned: data.unpinned, failed: data.failed });
+  sheet.resultsLoaded = job.status === 'done';
+  return job;
+}
+
+async function followJobs() {
+  progressSection.classList.remove('hidden');
+  cancelJobsBtn.classList.remove('hidden');
+  resumeJobsBtn.classList.add('hidden');
+  updateProgress();
+
+  // Sheets whose finished results are loaded already (geocoded before rows were pasted in) keep them
+  const pending = sheets.filter((s) => !s.resultsLoaded);
+  await Promise.all(pending.filter((s) => s.jobId).map(watchJob));
+  const stopped = [];
+  for (const sheet of pending) {
+    if (!sheet.jobId) continue; // No job could be started: the table shows the uploaded rows
+    try {
+      const job = await loadJobResults(sheet);
+      if (job.status !== 'done') stopped.push(`${sheet.filename} (${job.status}${job.error ? `: ${job.error}` : ''})`);
+    } catch (e) {
+      stopped.push(`${sheet.filename} (${e.message})`);
+    }
+  }
+
+  cancelJobsBtn.classList.add('hidden');
+  if (stopped.length) {
+    progressText.textContent = `Stopped: ${stopped.join(', ')}. Finished rows are shown below.`;
+    resumeJobsBtn.classList.remove('hidden');
+  } else {
+    progressSection.classList.add('hidden');
+  }
+  showResults();
+}
+
+function showResults() {
   activeSheetIndex = 0;
+  tablePage = 0;
   renderSheetsList();
   sheetsSection.classList.remove('hidden');
   resultsSection.classList.remove('hidden');
   showActiveSheet();
 }
 
+cancelJobsBtn.addEventListener('click', async () => {
+  cancelJobsBtn.disabled = true;
+  try {
+    // Jobs that already finished answer 409, which is fine
+    await Promise.all(sheets.filter((s) => s.jobId).map((s) =>
+      fetch(`/api/geocode-jobs/${s.jobId}/cancel`, { method: 'POST' })));
+  } finally {
+    cancelJobsBtn.disabled = false;
+  }
+});
+
+resumeJobsBtn.addEventListener('click', async () => {
+  resumeJobsBtn.disabled = true;
+  try {
+    await Promise.all(sheets.filter((s) => s.jobId).map((s) =>
+      fetch(`/api/geocode-jobs/${s.jobId}/resume`, { method: 'POST' })));
+  } finally {
+    resumeJobsBtn.disabled = false;
+  }
+  resultsSection.classList.add('hidden');
+  sheetsSection.classList.add('hidden');
+  await followJobs();
+});
+
+// After a page refresh: rebuild the sheets from the saved jobs and follow them again
+async function restoreJobs() {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(JOBS_STORAGE_KEY) || '[]');
+  } catch {
+    saved = [];
+  }
+  if (!Array.isArray(saved) || !saved.some((s) => s.jobId)) return;
+  const restored = [];
+  for (const s of saved.filter((s) => s.jobId)) {
+    const res = await fetch(`/api/geocode-jobs/${s.jobId}`);
+    if (!res.ok) continue; // Expired or deleted on the server
+    const job = await res.json();
+    restored.push({
+      ...s,
+      rows: [],
+      rowCount: job.total,
+      completed: job.completed,
+      suggestedMapping: s.mapping,
+      detectedPreset: null,
+      points: [],
+      unpinned: [],
+      failed: 0,
+      selected: true,
+    });
+  }
+  if (!restored.length) {
+    localStorage.removeItem(JOBS_STORAGE_KEY);
+    return;
+  }
+  sheets = restored;
+  await followJobs();
+}
+
 function renderSheetsList() {
   sheetsList.innerHTML = sheets.map((sheet, i) => {
     const color = getSheetColor(i);
@@ -209,7 +762,7 @@ function renderSheetsList() {
       <span class="sheet-color-indicator" style="background: ${color};"></span>
       <span class="sheet-item-name">${escapeHtml(sheet.filename)}</span>
       <input type="text" class="sheet-layer-name" data-index="${i}" value="${escapeHtml(sheet.layerName)}" placeholder="Layer name" />
-      <span class="sheet-item-count">${sheet.geocodedRows.length} rows</span>
+      <span class="sheet-item-count">${sheet.rowCount} rows</span>
     </div>
   `;
   }).join('');
@@ -278,54 +831,101 @@ function showActiveSheet() {
   
   renderAllSheetsTables(selected);
   drawAllSheetsMap(selected);
+  updateEditTools();
+  renderReviewList();
 }
 
 function getSelectedSheets() {
   return sheets.filter(s => s.selected);
 }
 
-function renderAllSheetsTables(selectedSheets) {
+// Draw the current page of the combined table, fetching its rows from the server
+async function renderAllSheetsTables(selectedSheets) {
+  const render = ++tableRender;
   if (!selectedSheets.length) {
     tableHead.innerHTML = '';
     tableBody.innerHTML = '<tr><td>No sheets selected</td></tr>';
+    tablePager.innerHTML = '';
     return;
   }
 
+  // Large sheets are shown a page at a time; the page runs across the selected sheets in order
+  const totalRows = selectedSheets.reduce((sum, s) => sum + s.rowCount, 0);
+  const pageCount = Math.max(1, Math.ceil(totalRows / TABLE_PAGE_SIZE));
+  tablePage = Math.min(tablePage, pageCount - 1);
+  const pageStart = tablePage * TABLE_PAGE_SIZE;
+  const pageEnd = Math.min(pageStart + TABLE_PAGE_SIZE, totalRows);
+  tablePager.innerHTML = pageCount > 1 ? `
+    <button type="button" data-page="${tablePage - 1}" ${tablePage === 0 ? 'disabled' : ''}>Previous</button>
+    <span>Rows ${pageStart + 1}–${pageEnd} of ${totalRows}</span>
+    <button type="button" data-page="${tablePage + 1}" ${tablePage === pageCount - 1 ? 'disabled' : ''}>Next</button>
+  ` : '';
+
+  // The part of each sheet on this page (sheets without rows still get their separator)
+  let sheetStart = 0; // Position of the sheet's first row in the combined table
+  const parts = [];
+  selectedSheets.forEach((sheet) => {
+    const from = Math.max(pageStart - sheetStart, 0);
+    const to = Math.min(pageEnd - sheetStart, sheet.rowCount);
+    sheetStart += sheet.rowCount;
+    if (from < to || !sheet.rowCount) parts.push({ sheet, from, to });
+  });
+  let pages;
+  try {
+    pages = await Promise.all(parts.map(({ sheet, from, to }) => (from < to ? fetchRows(sheet, from, to - from) : [])));
+  } catch (e) {
+    if (render !== tableRender) return;
+    tableHead.innerHTML = '';
+    tableBody.innerHTML = `<tr><td>${escapeHtml(e.message)}</td></tr>`;
+    return;
+  }
+  if (render !== tableRender) return;
+  tableRows.clear();
+
   // Build combined table with section headers for each sheet
   let bodyHtml = '';
-  const prefer = ['Customer - Parent  Account', 'Address1', 'cleanedAddress', 'Town', 'Postcode', 'lat', 'lng', 'display_name'];
+  const nameKeys = selectedSheets.map((s) => s.mapping?.name).filter(Boolean);
+  const prefer = [...nameKeys, 'Address1', 'cleanedAddress', 'unit', 'cleaningAudit', 'canonicalAddress', 'duplicateOf', 'resolvedState', 'stateSource', 'country', 'Town', 'Postcode', 'lat', 'lng', 'display_name', 'precision', 'confidence', 'relaxation', 'geocodeQuery', 'provider', 'manuallyPlaced', 'snappedAddress', 'geocodeStatus', 'geocodeError'];
   
-  // Get all possible headers from all sheets
+  // Get all possible headers from the rows on this page
   const allKeys = new Set();
-  selectedSheets.forEach(sheet => {
-    if (sheet.geocodedRows.length) {
-      Object.keys(sheet.geocodedRows[0]).forEach(k => allKeys.add(k));
-    }
-  });
+  pages.forEach((rows) => rows.forEach((row) => Object.keys(row).forEach((k) => allKeys.add(k))));
+  allKeys.delete('_cleanedAddress');
   const headers = [...new Set([...prefer.filter((k) => allKeys.has(k)), ...Array.from(allKeys).filter((k) => !prefer.includes(k))])];
   
-  tableHead.innerHTML = '<tr>' + headers.map((h) => `<th>${escapeHtml(h)}</th>`).join('') + '</tr>';
+  // First column: button to set a manual pin for the row
+  tableHead.innerHTML = '<tr><th></th>' + headers.map((h) => `<th>${escapeHtml(h)}</th>`).join('') + '</tr>';
 
-  selectedSheets.forEach((sheet, sheetIndex) => {
+  parts.forEach(({ sheet, from }, p) => {
     const color = getSheetColor(sheets.indexOf(sheet));
-    const layerName = sheet.layerName || sheet.filename.replace(/\.csv$/i, '');
+    const layerName = sheet.layerName || sheet.filename.replace(FILE_EXT_RE, '');
     
-    // Sheet separator row
+    // Sheet separator row. Provider failures (quota, outages) are worth re-running, unlike addresses that weren't found
     bodyHtml += `<tr class="sheet-separator" style="background: ${color}20; border-left: 4px solid ${color};">
-      <td colspan="${headers.length}" style="font-weight: 600; color: ${color};">
+      <td colspan="${headers.length + 1}" style="font-weight: 600; color: ${color};">
         <span class="sheet-color-dot" style="background: ${color};"></span>
-        ${escapeHtml(layerName)} (${sheet.geocodedRows.length} rows)
+        ${escapeHtml(layerName)} (${sheet.rowCount} rows${sheet.failed ? `, ${sheet.failed} failed to geocode` : ''})
       </td>
     </tr>`;
     
-    // Sheet rows
-    sheet.geocodedRows.forEach((row) => {
-      bodyHtml += '<tr style="border-left: 4px solid ' + color + '20;">' +
+    // Sheet rows on this page
+    pages[p].forEach((row, i) => {
+      const rowIndex = from + i;
+      tableRows.set(rowKey(sheet, rowIndex), row);
+      // A pin placed by hand is saved with the job, so only geocoded sheets get the button
+      const pinButton = sheet.jobId
+        ? `<button type="button" class="set-location" data-sheet="${sheets.indexOf(sheet)}" data-row="${rowIndex}">${row.manuallyPlaced ? 'Move pin' : 'Set pin'}</button>`
+        : '';
+      bodyHtml += '<tr style="border-left: 4px solid ' + color + '20;">' + `<td>${pinButton}</td>` +
         headers.map((h) => {
-          const v = row[h];
+          const v = cellValue(row, h);
           const isLatLng = h === 'lat' || h === 'lng';
           const ok = isLatLng && v != null && v !== '';
-          const cls = isLatLng ? (ok ? 'lat-lng-ok' : 'lat-lng-miss') : '';
+          let cls = isLatLng ? (ok ? 'lat-lng-ok' : 'lat-lng-miss') : (h === 'cleaningAudit' ? 'cleaning-audit' : '');
+          if ((h === 'precision' || h === 'confidence') && isLowConfidence(row)) cls = 'confidence-low';
+          if (h === 'relaxation' && row.relaxation && row.relaxation !== 'full') cls = 'relaxed';
+          if ((h === 'geocodeStatus' || h === 'geocodeError') && row.geocodeStatus === 'error') cls = 'geocode-error';
+          if (h === 'manuallyPlaced' && row.manuallyPlaced) cls = 'manually-placed';
           return `<td class="${cls}">${escapeHtml(String(v ?? ''))}</td>`;
         }).join('') +
         '</tr>';
@@ -335,42 +935,251 @@ function renderAllSheetsTables(selectedSheets) {
   tableBody.innerHTML = bodyHtml;
 }
 
-function drawAllSheetsMap(selectedSheets) {
+tablePager.addEventListener('click', (e) => {
+  const btn = e.target.closest('[data-page]');
+  if (!btn || btn.disabled) return;
+  tablePage = parseInt(btn.dataset.page, 10);
+  renderAllSheetsTables(getSelectedSheets());
+  document.querySelector('#panel-table .table-wrap').scrollTop = 0;
+});
+
+/**
+ * Save a corrected location for a row on the server (keyed by the sheet's account ID column, else the canonical
+ * address) so it is used instead of geocoding on every later upload, and update the row in place and in its job.
+ */
+async function saveLocationOverride(sheet, rowIndex, row, lat, lng) {
+  const accountKey = sheet.mapping?.accountId;
+  const res = await fetch('/api/location-overrides', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      accountId: (accountKey && row[accountKey]) || undefined,
+      canonicalAddress: row.canonicalAddress || undefined,
+      lat,
+      lng,
+      snappedAddress: row.snappedAddress || undefined,
+    }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed to save location');
+  const { override } = data;
+  applyManualLocation(row, override.lat, override.lng, { overrideKey: override.key, snappedAddress: override.snappedAddress });
+  pendingCorrections.delete(rowKey(sheet, rowIndex));
+  await saveRowEdit(sheet, rowIndex, row);
+}
+
+// Save a row changed here with its job, where the table, review list and exports read it from
+async function saveRowEdit(sheet, rowIndex, row) {
+  const res = await fetch(`/api/geocode-jobs/${sheet.jobId}/rows/${rowIndex}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ row }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed to save the row');
+  // Keep the sheet's pins (and rows without one) in step
+  sheet.points = sheet.points.filter(([index]) => index !== rowIndex);
+  sheet.unpinned = sheet.unpinned.filter(([index]) => index !== rowIndex);
+  if (row.lat != null && row.lng != null) sheet.points.push([rowIndex, row.lat, row.lng]);
+  else sheet.unpinned.push([rowIndex, rowName(row, sheet)]);
+}
+
+/**
+ * Put a row at a hand-picked location. `overrideKey` is null until the location is saved on the server; the
+ * address describing the old location is dropped until snapAddress finds the new one.
+ */
+function applyManualLocation(row, lat, lng, { overrideKey = null, snappedAddress = null } = {}) {
+  Object.assign(row, {
+    lat,
+    lng,
+    display_name: snappedAddress,
+    snappedAddress,
+    precision: 'rooftop',
+    confidence: 1,
+    provider: 'manual',
+    relaxation: null,
+    geocodeQuery: null,
+    geocodeStatus: 'ok',
+    geocodeError: null,
+    manuallyPlaced: true,
+    locationOverride: overrideKey,
+  });
+}
+
+tableBody.addEventListener('click', async (e) => {
+  const btn = e.target.closest('.set-location');
+  if (!btn) return;
+  const sheet = sheets[parseInt(btn.dataset.sheet, 10)];
+  const rowIndex = parseInt(btn.dataset.row, 10);
+  const row = sheet && tableRows.get(rowKey(sheet, rowIndex));
+  if (!row) return;
+  const current = row.lat != null && row.lng != null ? `${row.lat}, ${row.lng}` : '';
+  const input = prompt(`Latitude, longitude for ${rowName(row, sheet) || 'this row'}:`, current);
+  if (input == null || !input.trim()) return;
+  const [lat, lng] = input.split(/[,\s]+/).filter(Boolean).map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    alert('Enter the location as "latitude, longitude", e.g. 42.58, -82.91');
+    return;
+  }
+  btn.disabled = true;
+  applyManualLocation(row, lat, lng);
+  await snapAddress(row);
+  try {
+    await saveLocationOverride(sheet, rowIndex, row, lat, lng);
+  } catch (err) {
+    // Keep the new location with the job; the override can be saved from the map's edit mode
+    pendingCorrections.set(rowKey(sheet, rowIndex), { sheet, rowIndex, row });
+    await saveRowEdit(sheet, rowIndex, row).catch(console.error);
+    alert(err.message);
+  }
+  showActiveSheet();
+});
+
+// Look up the address at a manually placed pin (display_name / snappedAddress). Failures just leave it empty.
+async function snapAddress(row) {
+  const { lat, lng } = row;
+  try {
+    const res = await fetch(`/api/reverse-geocode?lat=${lat}&lng=${lng}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Reverse geocoding failed');
+    // The pin may have been moved again while this was on its way
+    if (row.lat !== lat || row.lng !== lng || !data.display_name) return;
+    row.display_name = data.display_name;
+    row.snappedAddress = data.display_name;
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Cleaning audit from the server: [{ rule, text }] → 'attention: "ATTN. ACCOUNTS PAYABLE"; phone: "522-6004"'.
+// The table shows what the CSV export writes: this and cellValue are copies of the ones in lib/exportFormats.js (the
+// source; this script can't import from lib/), so change them there first.
+function formatAudit(audit) {
+  if (!Array.isArray(audit)) return '';
+  return audit.map((a) => `${a.rule}: "${String(a.text).trim()}"`).join('; ');
+}
+
+// Display value for a row column (flattens structured fields like cleaningAudit)
+function cellValue(row, key) {
+  if (key === 'cleaningAudit') return formatAudit(row[key]);
+  return row[key];
+}
+
+function markerPopup(r, sheet, color, layerName, unsaved) {
+  const name = rowName(r, sheet);
+  const source = r.manuallyPlaced
+    ? `<br><small>placed manually${unsaved ? ' (not saved)' : ''}${r.snappedAddress ? ` at ${escapeHtml(r.snappedAddress)}` : ''}</small>`
+    : r.provider ? `<br><small>via ${escapeHtml(r.provider)}${r.relaxation && r.relaxation !== 'full' ? `, approximate (${escapeHtml(r.relaxation)})` : ''}</small>` : '';
+  return `<strong style="color: ${color};">[${escapeHtml(layerName)}]</strong><br><strong>${escapeHtml(name)}</strong><br>${escapeHtml([r.cleanedAddress, r.unit].filter(Boolean).join(', '))}${popupLines(r, sheet).map((l) => `<br>${escapeHtml(l)}`).join('')}${source}`;
+}
+
+// Fill a pin's popup with its row, fetched when the popup opens (a moved pin not saved yet uses the row here)
+async function showRowPopup(marker, sheet, rowIndex, color, layerName) {
+  const pending = pendingCorrections.get(rowKey(sheet, rowIndex));
+  try {
+    const row = pending?.row || await fetchRow(sheet, rowIndex);
+    marker.setPopupContent(markerPopup(row, sheet, color, layerName, !!pending));
+  } catch (e) {
+    marker.setPopupContent(escapeHtml(e.message));
+  }
+}
+
+// Pin for edit mode: circle markers can't be dragged, so use a marker with a round colored icon
+function editPinIcon(color) {
+  return window.L.divIcon({
+    className: 'edit-pin',
+    html: `<span style="background: ${color};"></span>`,
+    iconSize: [18, 18],
+    iconAnchor: [9, 9],
+  });
+}
+
+// Cluster badge in the sheet's color with the number of rows inside, larger for bigger clusters
+function clusterIcon(color) {
+  return (cluster) => {
+    const count = cluster.getChildCount();
+    const size = count < 10 ? 28 : count < 100 ? 34 : count < 1000 ? 40 : 46;
+    const label = count < 10000 ? count : `${Math.round(count / 1000)}k`;
+    return window.L.divIcon({
+      className: 'sheet-cluster',
+      html: `<span style="background: ${color};">${label}</span>`,
+      iconSize: [size, size],
+    });
+  };
+}
+
+// Layer holding one sheet's pins: clusters that split up as you zoom in (a plain group if the plugin didn't load)
+function sheetLayer(color) {
+  if (!window.L.markerClusterGroup) return window.L.layerGroup();
+  return window.L.markerClusterGroup({
+    iconCreateFunction: clusterIcon(color),
+    chunkedLoading: true, // Add large sheets in slices so the page stays responsive
+    showCoverageOnHover: false,
+    spiderfyOnMaxZoom: true, // Duplicate addresses share a spot; fan them out at the last zoom level
+  });
+}
+
+/**
+ * Draw the selected sheets' rows on the map, each sheet in its own clustered layer.
+ * @param {Object[]} selectedSheets
+ * @param {{ keepView?: boolean }} [options] - keepView: don't zoom to the pins (e.g. after moving one)
+ */
+function drawAllSheetsMap(selectedSheets, { keepView = false } = {}) {
   if (mapInstance) {
-    mapMarkers.forEach((m) => m.remove());
-    mapMarkers = [];
+    mapLayers.forEach((layer) => layer.remove());
+    mapLayers = [];
   } else {
     mapInstance = window.L.map('map').setView([42.73, -84.55], 7);
     window.L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
       attribution: '© OpenStreetMap',
     }).addTo(mapInstance);
+    mapInstance.on('click', placeSelectedRow);
+    canvasRenderer = window.L.canvas({ padding: 0.5 });
   }
 
   const allCoords = [];
+  const pointCount = selectedSheets.reduce((n, sheet) => n + sheet.points.length, 0);
+  // Thousands of SVG circles make panning slow; a canvas draws them as one element
+  const renderer = pointCount >= CANVAS_MIN_POINTS ? canvasRenderer : undefined;
 
   selectedSheets.forEach((sheet) => {
     const color = getSheetColor(sheets.indexOf(sheet));
-    const layerName = sheet.layerName || sheet.filename.replace(/\.csv$/i, '');
-    const withCoords = sheet.geocodedRows.filter((r) => r.lat != null && r.lng != null);
-    
-    withCoords.forEach((r) => {
-      const name = r['Customer - Parent  Account'] ?? r.cleanedAddress ?? '';
-      // Use circle markers with sheet-specific color
-      const marker = window.L.circleMarker([r.lat, r.lng], {
-        radius: 8,
-        fillColor: color,
-        color: '#fff',
-        weight: 2,
-        opacity: 1,
-        fillOpacity: 0.9,
-      })
-        .bindPopup(`<strong style="color: ${color};">[${escapeHtml(layerName)}]</strong><br><strong>${escapeHtml(name)}</strong><br>${escapeHtml(r.cleanedAddress || '')}`)
-        .addTo(mapInstance);
-      mapMarkers.push(marker);
-      allCoords.push([r.lat, r.lng]);
+    const layerName = sheet.layerName || sheet.filename.replace(FILE_EXT_RE, '');
+    const layer = sheetLayer(color).addTo(mapInstance);
+
+    const markers = sheet.points.map(([rowIndex, lat, lng]) => {
+      let marker;
+      if (editMode) {
+        marker = window.L.marker([lat, lng], { icon: editPinIcon(color), draggable: true });
+        marker.on('dragend', () => {
+          const moved = marker.getLatLng();
+          moveRow(sheet, rowIndex, moved.lat, moved.lng);
+        });
+      } else {
+        // Use circle markers with sheet-specific color
+        marker = window.L.circleMarker([lat, lng], {
+          renderer,
+          radius: 8,
+          fillColor: color,
+          color: '#fff',
+          weight: 2,
+          opacity: 1,
+          fillOpacity: 0.9,
+        });
+      }
+      // Rows stay on the server: the popup loads its row when it opens
+      marker.bindPopup('Loading…');
+      marker.on('popupopen', () => showRowPopup(marker, sheet, rowIndex, color, layerName));
+      allCoords.push([lat, lng]);
+      return marker;
     });
+    if (layer.addLayers) layer.addLayers(markers);
+    else markers.forEach((marker) => layer.addLayer(marker));
+    mapLayers.push(layer);
   });
 
+  if (keepView) return;
+
   if (allCoords.length) {
     const bounds = window.L.latLngBounds(allCoords);
     lastMapBounds = bounds;
@@ -388,6 +1197,249 @@ function drawAllSheetsMap(selectedSheets) {
   }, 0);
 }
 
+// --- Review panel: rows that weren't found or matched poorly, across all sheets ---
+
+// Rows to review shown per sheet at a time
+const REVIEW_PAGE_SIZE = 50;
+
+// The sheet's mapped address columns, in joining order
+function addressColumns(sheet) {
+  const m = sheet.mapping || {};
+  return [...(m.street || []), m.city, m.state, m.postcode, m.country].filter(Boolean);
+}
+
+/**
+ * List the rows that weren't found or matched poorly. The server picks them out (see /api/geocode-jobs/:id/review);
+ * each sheet shows a page of them, starting at its reviewOffset.
+ */
+async function renderReviewList() {
+  const render = ++reviewRender;
+  let pages;
+  try {
+    pages = await Promise.all(sheets.filter((s) => s.jobId).map(async (sheet) => {
+      const params = new URLSearchParams({ offset: sheet.reviewOffset || 0, limit: REVIEW_PAGE_SIZE });
+      // Without an export threshold the server uses its default
+      if (minConfidenceSelect.value) params.set('minConfidence', minConfidenceSelect.value);
+      const res = await fetch(`/api/geocode-jobs/${sheet.jobId}/review?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load rows to review');
+      return { sheet, ...data };
+    }));
+  } catch (e) {
+    if (render === reviewRender) reviewList.innerHTML = `<p class="review-empty">${escapeHtml(e.message)}</p>`;
+    return;
+  }
+  if (render !== reviewRender) return;
+  // The last page emptied (rows skipped or fixed): go back to the new last page
+  const emptied = pages.find(({ offset, total, items }) => offset && !items.length && total);
+  if (emptied) {
+    emptied.sheet.reviewOffset = Math.floor((emptied.total - 1) / REVIEW_PAGE_SIZE) * REVIEW_PAGE_SIZE;
+    return renderReviewList();
+  }
+  reviewRows.clear();
+  const total = pages.reduce((sum, page) => sum + page.total, 0);
+  reviewCount.textContent = total ? `(${total})` : '';
+  if (!total) {
+    reviewList.innerHTML = '<p class="review-empty">Nothing to review.</p>';
+    return;
+  }
+  reviewList.innerHTML = pages.map(({ sheet, offset, total, items }) => {
+    const sheetIndex = sheets.indexOf(sheet);
+    const columns = addressColumns(sheet);
+    const html = items.map(({ index: rowIndex, row, reason }) => {
+      reviewRows.set(rowKey(sheet, rowIndex), row);
+      const raw = columns.map((c) => row[c]).filter((v) => v != null && String(v).trim()).join(', ');
+      return `
+      <div class="review-item" data-sheet="${sheetIndex}" data-row="${rowIndex}">
+        <div class="review-head">
+          <span class="sheet-color-dot" style="background: ${getSheetColor(sheetIndex)};"></span>
+          <strong>${escapeHtml(rowName(row, sheet) || `Row ${rowIndex + 1}`)}</strong>
+          <span class="review-sheet">${escapeHtml(sheet.layerName || sheet.filename)}, row ${rowIndex + 1}</span>
+          <span class="review-reason">${escapeHtml(reason)}</span>
+        </div>
+        <div class="review-addresses">
+          <div><span class="review-label">Raw</span>${escapeHtml(raw || '—')}</div>
+          <div><span class="review-label">Cleaned</span>${escapeHtml(row.cleanedAddress || '—')}</div>
+        </div>
+        <div class="review-fields">
+          ${columns.map((c, i) => `<label>${escapeHtml(c)}<input type="text" data-column-index="${i}" value="${escapeHtml(row[c] ?? '')}" /></label>`).join('')}
+        </div>
+        <div class="review-actions">
+          <button type="button" class="review-regeocode">Re-geocode</button>
+          <button type="button" class="review-skip">Skip</button>
+        </div>
+      </div>`;
+    }).join('');
+    if (total <= REVIEW_PAGE_SIZE) return html;
+    return html + `
+      <div class="table-pager">
+        <button type="button" data-review-sheet="${sheetIndex}" data-offset="${offset - REVIEW_PAGE_SIZE}" ${offset ? '' : 'disabled'}>Previous</button>
+        <span>${escapeHtml(sheet.layerName || sheet.filename)}: ${offset + 1}–${offset + items.length} of ${total}</span>
+        <button type="button" data-review-sheet="${sheetIndex}" data-offset="${offset + REVIEW_PAGE_SIZE}" ${offset + items.length >= total ? 'disabled' : ''}>Next</button>
+      </div>`;
+  }).join('');
+}
+
+// Geocode one row again with its edited address columns (fresh lookup, not the cached miss)
+async function regeocodeRow(sheet, rowIndex, edits) {
+  const old = reviewRows.get(rowKey(sheet, rowIndex));
+  const row = Object.fromEntries(sheet.headers.map((h) => [h, old[h] ?? '']));
+  Object.assign(row, edits);
+  // A saved location override for the old address shouldn't stand in for the corrected one
+  const addressEdited = Object.entries(edits).some(([key, value]) => String(old[key] ?? '').trim() !== value);
+  const res = await fetch('/api/geocode-row', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      row,
+      addressEdited,
+      mapping: sheet.mapping,
+      profile: sheet.profile || profileSelect.value || undefined,
+      state: sheet.defaultState || undefined,
+    }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Geocode failed');
+  const updated = { ...data.row, duplicateOf: old.duplicateOf ?? null };
+  await saveRowEdit(sheet, rowIndex, updated);
+  pendingCorrections.delete(rowKey(sheet, rowIndex));
+  return updated;
+}
+
+reviewList.addEventListener('click', async (e) => {
+  const pageBtn = e.target.closest('[data-review-sheet]');
+  if (pageBtn) {
+    sheets[parseInt(pageBtn.dataset.reviewSheet, 10)].reviewOffset = parseInt(pageBtn.dataset.offset, 10);
+    renderReviewList();
+    return;
+  }
+  const item = e.target.closest('.review-item');
+  if (!item) return;
+  const sheet = sheets[parseInt(item.dataset.sheet, 10)];
+  const rowIndex = parseInt(item.dataset.row, 10);
+  const row = sheet && reviewRows.get(rowKey(sheet, rowIndex));
+  if (!row) return;
+
+  if (e.target.closest('.review-skip')) {
+    // Saved with the job so the row stays skipped after a reload
+    const res = await fetch(`/api/geocode-jobs/${sheet.jobId}/rows/${rowIndex}/skip`, { method: 'POST' });
+    if (!res.ok) {
+      reviewStatus.textContent = (await res.json().catch(() => ({}))).error || 'Failed to skip the row';
+      return;
+    }
+    renderReviewList();
+    return;
+  }
+  const btn = e.target.closest('.review-regeocode');
+  if (!btn) return;
+  const columns = addressColumns(sheet);
+  const edits = {};
+  item.querySelectorAll('input[data-column-index]').forEach((input) => {
+    edits[columns[parseInt(input.dataset.columnIndex, 10)]] = input.value.trim();
+  });
+  btn.disabled = true;
+  reviewStatus.textContent = `Geocoding ${rowName(row, sheet) || `row ${rowIndex + 1}`}…`;
+  try {
+    const updated = await regeocodeRow(sheet, rowIndex, edits);
+    const name = rowName(updated, sheet) || `Row ${rowIndex + 1}`;
+    reviewStatus.textContent = updated.lat != null
+      ? `${name}: found via ${updated.provider} (${updated.precision}, confidence ${updated.confidence}).`
+      : `${name}: ${updated.geocodeStatus === 'error' ? `geocoder error (${updated.geocodeError})` : 'still not found'}.`;
+    showActiveSheet();
+  } catch (err) {
+    reviewStatus.textContent = err.message;
+    btn.disabled = false;
+  }
+});
+
+// --- Editing pins on the map ---
+
+// Rounded to ~10 cm; the map gives far more digits than that
+function roundCoord(v) {
+  return Math.round(v * 1e6) / 1e6;
+}
+
+/**
+ * A pin moved or placed on the map: save the row with its job now (exports use it), as an override on request.
+ * @returns {Promise<void>} - Resolves once the address at the new spot has been looked up and saved too
+ */
+async function moveRow(sheet, rowIndex, lat, lng) {
+  const key = rowKey(sheet, rowIndex);
+  try {
+    const row = pendingCorrections.get(key)?.row || await fetchRow(sheet, rowIndex);
+    applyManualLocation(row, roundCoord(lat), roundCoord(lng));
+    pendingCorrections.set(key, { sheet, rowIndex, row });
+    await saveRowEdit(sheet, rowIndex, row);
+    renderAllSheetsTables(getSelectedSheets());
+    updateEditTools();
+    await snapAddress(row);
+    await saveRowEdit(sheet, rowIndex, row);
+    renderAllSheetsTables(getSelectedSheets());
+  } catch (e) {
+    mapEditStatus.textContent = e.message;
+  }
+}
+
+function placeSelectedRow(e) {
+  if (!editMode || !placeRowSelect.value) return;
+  const [sheetIndex, rowIndex] = placeRowSelect.value.split(':').map(Number);
+  const sheet = sheets[sheetIndex];
+  if (!sheet) return;
+  // Drawn once the row is saved with its new pin
+  moveRow(sheet, rowIndex, e.latlng.lat, e.latlng.lng).then(() => drawAllSheetsMap(getSelectedSheets(), { keepView: true }));
+}
+
+// Refresh the list of rows without a pin and the save button
+function updateEditTools() {
+  const options = ['<option value="">Place a row without a pin…</option>'];
+  getSelectedSheets().forEach((sheet) => {
+    const sheetIndex = sheets.indexOf(sheet);
+    sheet.unpinned.forEach(([rowIndex, name]) => {
+      const label = `${sheet.layerName || sheet.filename}: ${name || `row ${rowIndex + 1}`}`;
+      options.push(`<option value="${sheetIndex}:${rowIndex}">${escapeHtml(label)}</option>`);
+    });
+  });
+  placeRowSelect.innerHTML = options.join('');
+  placeRowSelect.disabled = options.length === 1;
+  document.getElementById('map').classList.toggle('placing', editMode && !!placeRowSelect.value);
+  saveCorrectionsBtn.disabled = !pendingCorrections.size;
+  saveCorrectionsBtn.textContent = pendingCorrections.size ? `Save corrections (${pendingCorrections.size})` : 'Save corrections';
+  mapEditStatus.textContent = editMode
+    ? 'Drag a pin to move it, or pick a row and click the map. Moved pins are used in exports right away; save them to reuse on later uploads.'
+    : '';
+}
+
+editPinsToggle.addEventListener('change', () => {
+  editMode = editPinsToggle.checked;
+  mapEditTools.classList.toggle('hidden', !editMode);
+  updateEditTools();
+  drawAllSheetsMap(getSelectedSheets(), { keepView: true });
+});
+
+placeRowSelect.addEventListener('change', () => {
+  document.getElementById('map').classList.toggle('placing', editMode && !!placeRowSelect.value);
+});
+
+saveCorrectionsBtn.addEventListener('click', async () => {
+  saveCorrectionsBtn.disabled = true;
+  const failed = [];
+  for (const { sheet, rowIndex, row } of [...pendingCorrections.values()]) {
+    try {
+      await saveLocationOverride(sheet, rowIndex, row, row.lat, row.lng);
+    } catch (e) {
+      failed.push(`${rowName(row, sheet) || row.cleanedAddress}: ${e.message}`);
+    }
+  }
+  renderAllSheetsTables(getSelectedSheets());
+  drawAllSheetsMap(getSelectedSheets(), { keepView: true });
+  updateEditTools();
+  if (failed.length) alert(`Some corrections were not saved:\n${failed.join('\n')}`);
+});
+
+window.addEventListener('beforeunload', (e) => {
+  if (pendingCorrections.size) e.preventDefault();
+});
+
 document.querySelectorAll('.tab').forEach((btn) => {
   btn.addEventListener('click', () => {
     document.querySelectorAll('.tab').forEach((b) => b.classList.remove('active'));
@@ -404,44 +1456,50 @@ document.querySelectorAll('.tab').forEach((btn) => {
   });
 });
 
+// Also escapes double quotes, since the result is used in attribute values too
 function escapeHtml(s) {
   const div = document.createElement('div');
   div.textContent = s;
-  return div.innerHTML;
-}
-
-function kmlPlacemark(row) {
-  const name = escapeXml(String(row['Customer - Parent  Account'] ?? row.cleanedAddress ?? ''));
-  const desc = escapeXml(String(row.cleanedAddress ?? ''));
-  if (row.lat == null || row.lng == null) return '';
-  return `
-  <Placemark>
-    <name>${name}</name>
-    <description>${desc}</description>
-    <Point><coordinates>${row.lng},${row.lat},0</coordinates></Point>
-  </Placemark>`;
-}
-
-function escapeXml(s) {
-  return s
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-}
-
-function buildKmlForSheet(sheet) {
-  const placemarks = sheet.geocodedRows.map(kmlPlacemark).filter(Boolean).join('');
-  const rawName = (sheet.layerName || '').trim() || sheet.filename.replace(/\.csv$/i, '');
-  const docName = escapeXml(rawName);
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<kml xmlns="http://www.opengis.net/kml/2.2">
-  <Document>
-    <name>${docName}</name>
-    ${placemarks}
-  </Document>
-</kml>`;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// Rows below the export confidence threshold (rows with no confidence, e.g. not geocoded, are never "low")
+function isLowConfidence(row) {
+  const min = parseFloat(minConfidenceSelect.value);
+  return Number.isFinite(min) && row.confidence != null && row.confidence < min;
+}
+
+// Options for a sheet's KML/CSV export, made on the server from the job's rows (see /api/geocode-jobs/:id/export.kml)
+function exportOptions(sheet) {
+  return {
+    name: (sheet.layerName || '').trim() || sheet.filename.replace(FILE_EXT_RE, ''),
+    nameColumn: sheet.mapping?.name || '',
+    popupColumns: sheet.popupColumns || [],
+    minConfidence: minConfidenceSelect.value,
+  };
+}
+
+// Download a sheet's export ('kml' or 'csv'); sheets without a job have nothing geocoded to export
+function downloadExport(sheet, format) {
+  if (!sheet.jobId) return;
+  const { popupColumns, ...options } = exportOptions(sheet);
+  const params = new URLSearchParams(options);
+  popupColumns.forEach((column) => params.append('popupColumns', column));
+  const a = document.createElement('a');
+  a.href = `/api/geocode-jobs/${sheet.jobId}/export.${format}?${params}`;
+  a.click();
+}
+
+// Write a sheet's KML on the server for the My Maps import script
+async function saveSheetKml(sheet) {
+  if (!sheet.jobId) throw new Error(`${sheet.filename} was not geocoded`);
+  const res = await fetch('/api/save-kml', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jobId: sheet.jobId, ...exportOptions(sheet) }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Failed to save KML');
 }
 
 exportKml.addEventListener('click', () => {
@@ -451,11 +1509,7 @@ exportKml.addEventListener('click', () => {
     return;
   }
   // If multiple, download each as separate file
-  selected.forEach(sheet => {
-    const kml = buildKmlForSheet(sheet);
-    const filename = sheet.filename.replace(/\.csv$/i, '') + '.kml';
-    download(filename, 'application/vnd.google-earth.kml+xml', kml);
-  });
+  selected.forEach((sheet) => downloadExport(sheet, 'kml'));
 });
 
 addToMyMaps.addEventListener('click', async () => {
@@ -466,17 +1520,9 @@ addToMyMaps.addEventListener('click', async () => {
   }
   
   // Save KML for the first sheet (we'll import each one sequentially)
-  const firstSheet = selected[0];
-  const kml = buildKmlForSheet(firstSheet);
   try {
-    const res = await fetch('/api/save-kml', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ kml }),
-    });
-    const data = await res.json();
-    if (!res.ok) throw new Error(data.error || 'Failed to save KML');
-    
+    await saveSheetKml(selected[0]);
+
     mymapsFlow.classList.remove('hidden');
     mymapsSelectWrap.classList.add('hidden');
     mymapsNewMap.classList.add('hidden');
@@ -549,25 +1595,18 @@ async function importAllSheetsToMap(mid) {
   for (let i = 0; i < selected.length; i++) {
     const sheet = selected[i];
     // Use the per-sheet layerName (editable in the sheets list)
-    const layerName = sheet.layerName.trim() || sheet.filename.replace(/\.csv$/i, '');
+    const layerName = sheet.layerName.trim() || sheet.filename.replace(FILE_EXT_RE, '');
     mymapsStatus.textContent = `Importing layer ${i + 1}/${selected.length}: ${layerName}…`;
     
-    // Save this sheet's KML
-    const kml = buildKmlForSheet(sheet);
     try {
-      let res = await fetch('/api/save-kml', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ kml }),
-      });
-      let data = await res.json();
-      if (!res.ok) throw new Error(data.error || 'Failed to save KML');
-      
+      // Save this sheet's KML
+      await saveSheetKml(sheet);
+
       // Import to map with timeout
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 120000); // 2 min timeout per layer
       
-      res = await fetch('/api/mymaps-import', {
+      const res = await fetch('/api/mymaps-import', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ mid, layerName }),
@@ -575,7 +1614,7 @@ async function importAllSheetsToMap(mid) {
       });
       clearTimeout(timeoutId);
       
-      data = await res.json();
+      const data = await res.json();
       if (!res.ok) throw new Error(data.error || 'Import failed');
       
       successCount++;
@@ -654,7 +1693,7 @@ createMapBtn.addEventListener('click', () => {
   mymapsSelectWrap.classList.add('hidden');
   const selected = getSelectedSheets();
   const defaultName = selected.length === 1
-    ? selected[0].filename.replace(/\.csv$/i, '')
+    ? selected[0].filename.replace(FILE_EXT_RE, '')
     : 'My new map';
   newMapNameInput.value = defaultName;
   newMapNameInput.focus();
@@ -689,34 +1728,167 @@ confirmCreateMapBtn.addEventListener('click', async () => {
   }
 });
 
+// Re-highlight low-confidence rows when the threshold changes
+minConfidenceSelect.addEventListener('change', () => {
+  sheets.forEach((sheet) => { sheet.reviewOffset = 0; });
+  renderAllSheetsTables(getSelectedSheets());
+  renderReviewList();
+});
+
 exportCsv.addEventListener('click', () => {
   const selected = getSelectedSheets();
   if (!selected.length) {
     alert('No sheets selected.');
     return;
   }
-  selected.forEach(sheet => {
-    if (!sheet.geocodedRows.length) return;
-    const headers = [...Object.keys(sheet.geocodedRows[0]).filter((h) => h !== '_cleanedAddress')];
-    const line = (row) => headers.map((h) => csvCell(row[h])).join(',');
-    const csv = [headers.join(','), ...sheet.geocodedRows.map(line)].join('\r\n');
-    const filename = sheet.filename.replace(/\.csv$/i, '') + '-with-lat-lng.csv';
-    download(filename, 'text/csv', csv);
-  });
+  selected.forEach((sheet) => downloadExport(sheet, 'csv'));
 });
 
-function csvCell(v) {
-  if (v == null) return '';
-  const s = String(v);
-  if (/[",\r\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
-  return s;
+// --- Cleaning rule profiles ---
+
+async function loadCleaningProfiles(selectName) {
+  try {
+    const res = await fetch('/api/cleaning-profiles');
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to load cleaning profiles');
+    cleaningProfiles = data.profiles || [];
+  } catch (e) {
+    rulesStatus.textContent = e.message;
+    return;
+  }
+  const current = selectName || profileSelect.value || 'default';
+  profileSelect.innerHTML = cleaningProfiles
+    .map((p) => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}${p.builtIn ? ' (built-in)' : ''}</option>`)
+    .join('');
+  profileSelect.value = cleaningProfiles.some((p) => p.name === current) ? current : 'default';
+  selectProfile(profileSelect.value);
 }
 
-function download(filename, type, content) {
-  const blob = new Blob([content], { type });
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(a.href);
+function selectProfile(name) {
+  const profile = cleaningProfiles.find((p) => p.name === name);
+  editingRules = (profile?.rules || []).map((r) => ({ ...r }));
+  profileNameInput.value = profile && !profile.builtIn ? profile.name : '';
+  deleteProfileBtn.disabled = !profile || profile.builtIn;
+  renderRules();
 }
+
+function renderRules() {
+  rulesList.innerHTML = editingRules.map((r, i) => `
+    <div class="rule-item" data-index="${i}">
+      <input type="checkbox" data-field="enabled" ${r.enabled !== false ? 'checked' : ''} title="Enabled" />
+      <input type="text" class="rule-name" data-field="name" value="${escapeHtml(r.name || '')}" placeholder="Name" />
+      <input type="text" class="rule-pattern" data-field="pattern" value="${escapeHtml(r.pattern || '')}" placeholder="Regular expression" />
+      <input type="text" class="rule-flags" data-field="flags" value="${escapeHtml(r.flags ?? 'gi')}" placeholder="Flags" />
+      <select data-field="action">
+        <option value="remove" ${r.action !== 'replace' ? 'selected' : ''}>Remove</option>
+        <option value="replace" ${r.action === 'replace' ? 'selected' : ''}>Replace with</option>
+      </select>
+      <input type="text" class="rule-replacement" data-field="replacement" value="${escapeHtml(r.replacement || '')}" ${r.action === 'replace' ? '' : 'disabled'} />
+      <button type="button" data-move="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+      <button type="button" data-move="1" title="Move down" ${i === editingRules.length - 1 ? 'disabled' : ''}>↓</button>
+      <button type="button" data-remove title="Delete rule">✕</button>
+    </div>
+  `).join('');
+
+  rulesList.querySelectorAll('.rule-item').forEach((el) => {
+    const idx = parseInt(el.dataset.index);
+    el.querySelectorAll('[data-field]').forEach((input) => {
+      input.addEventListener('change', () => {
+        const field = input.dataset.field;
+        editingRules[idx][field] = input.type === 'checkbox' ? input.checked : input.value;
+        if (field === 'action') renderRules();
+      });
+    });
+    el.querySelectorAll('[data-move]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const to = idx + parseInt(btn.dataset.move);
+        [editingRules[idx], editingRules[to]] = [editingRules[to], editingRules[idx]];
+        renderRules();
+      });
+    });
+    el.querySelector('[data-remove]').addEventListener('click', () => {
+      editingRules.splice(idx, 1);
+      renderRules();
+    });
+  });
+}
+
+profileSelect.addEventListener('change', () => selectProfile(profileSelect.value));
+
+addRuleBtn.addEventListener('click', () => {
+  editingRules.push({ name: '', pattern: '', flags: 'gi', action: 'remove', replacement: '', enabled: true });
+  renderRules();
+});
+
+testRulesBtn.addEventListener('click', async () => {
+  const samples = ruleSamples.value.split('\n').map((s) => s.trim()).filter(Boolean);
+  const sheet = sheets[activeSheetIndex];
+  if (!samples.length && !sheet) {
+    alert('Enter sample addresses or load a CSV first.');
+    return;
+  }
+  testRulesBtn.disabled = true;
+  rulesStatus.textContent = '';
+  try {
+    const res = await fetch('/api/cleaning-profiles-test', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rules: editingRules, samples, rows: samples.length ? undefined : sheet.rows.slice(0, 25), mapping: sheet?.mapping }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Test failed');
+    ruleTestBody.innerHTML = data.results.map((r) => `
+      <tr>
+        <td>${escapeHtml(r.raw)}</td>
+        <td>${escapeHtml(r.cleaned)}</td>
+        <td class="cleaning-audit">${escapeHtml(formatAudit(r.audit))}</td>
+      </tr>
+    `).join('');
+    ruleTestWrap.classList.remove('hidden');
+  } catch (e) {
+    rulesStatus.textContent = e.message;
+  } finally {
+    testRulesBtn.disabled = false;
+  }
+});
+
+saveProfileBtn.addEventListener('click', async () => {
+  const name = profileNameInput.value.trim();
+  if (!name) {
+    alert('Enter a profile name.');
+    return;
+  }
+  saveProfileBtn.disabled = true;
+  try {
+    const res = await fetch(`/api/cleaning-profiles/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rules: editingRules }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save profile');
+    await loadCleaningProfiles(name);
+    rulesStatus.textContent = `Saved "${name}".`;
+  } catch (e) {
+    rulesStatus.textContent = e.message;
+  } finally {
+    saveProfileBtn.disabled = false;
+  }
+});
+
+deleteProfileBtn.addEventListener('click', async () => {
+  const name = profileSelect.value;
+  if (!confirm(`Delete cleaning profile "${name}"?`)) return;
+  try {
+    const res = await fetch(`/api/cleaning-profiles/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to delete profile');
+    await loadCleaningProfiles('default');
+    rulesStatus.textContent = `Deleted "${name}".`;
+  } catch (e) {
+    rulesStatus.textContent = e.message;
+  }
+});
+
+loadCleaningProfiles();
+restoreJobs();
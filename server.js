@@ -2,16 +2,35 @@ import 'dotenv/config';
 import express from 'express';
 import multer from 'multer';
 import fs from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { spawn } from 'child_process';
 import crypto from 'crypto';
-import { parse } from 'csv-parse/sync';
-import fetch from 'node-fetch';
-import { buildAndCleanAddress } from './lib/addressCleaner.js';
+import {
+  buildAddressForRow,
+  canonicalAddress,
+  cleanAddressWithAudit,
+  parseAddressFromRow,
+  relaxedAddressQueries,
+  validateRules,
+} from './lib/addressCleaner.js';
+import { createProfileStore } from './lib/cleaningProfiles.js';
+import { mappingToAddressKeys, normalizeMapping, suggestColumnMapping } from './lib/columnMapping.js';
+import { createPresetStore } from './lib/importPresets.js';
+import { createGeocodeCache } from './lib/geocodeCache.js';
+import { createGeocoderChain, geocoderNamesFromEnv } from './lib/geocoders.js';
+import { csvColumns, csvLines, kmlDocument, rowName } from './lib/exportFormats.js';
+import { createJobManager } from './lib/geocodeJobs.js';
+import { createOverrideStore } from './lib/locationOverrides.js';
+import { DELIMITERS, ENCODINGS, normalizeDelimiter, normalizeEncoding } from './lib/textDecoding.js';
+import { createUploadStore } from './lib/uploadStore.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const EXPORT_KML_PATH = path.join(__dirname, 'address-plotter-export.kml');
+// Server-side state (cleaning profiles, import presets, geocode cache, location overrides, uploads, jobs) lives here; override with DATA_DIR
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 const SCRIPTS_DIR = path.join(__dirname, 'scripts');
 const LIST_MYMAPS = path.join(SCRIPTS_DIR, 'list-mymaps.mjs');
 const IMPORT_MYMAPS = path.join(SCRIPTS_DIR, 'import-to-mymaps.mjs');
@@ -22,6 +41,9 @@ const LAUNCH_AUTH_BROWSER = path.join(SCRIPTS_DIR, 'launch-auth-browser.mjs');
 const childEnv = { ...process.env };
 
 const MYMAPS_IMPORT_TIMEOUT_MS = parseInt(process.env.MYMAPS_IMPORT_TIMEOUT_MS || '300000', 10);
+// Largest upload accepted by /api/parse
+const UPLOAD_MAX_MB = Math.max(1, parseInt(process.env.UPLOAD_MAX_MB || '200', 10) || 200);
+const GEOCODE_CONCURRENCY = Math.max(1, parseInt(process.env.GEOCODE_CONCURRENCY || '8', 10) || 8);
 
 // Track if auth browser is currently running
 let authBrowserProcess = null;
@@ -104,7 +126,30 @@ function requireAuth(req, res, next) {
 }
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+// Uploads go to disk (DATA_DIR/uploads) and are parsed from there as a stream; UPLOAD_MAX_MB caps their size
+const uploadStore = createUploadStore(path.join(DATA_DIR, 'uploads'));
+const upload = multer({ dest: uploadStore.incomingDir, limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024 } });
+
+// multer's single-file middleware, answering JSON instead of an error page when the file is too large
+function receiveUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `File is larger than ${UPLOAD_MAX_MB} MB` });
+    res.status(400).json({ error: err.message });
+  });
+}
+
+/** Wrap an async route handler so a rejection reaches the error handler (Express 4 doesn't catch it). */
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/** offset/limit query parameters for paged endpoints (limit 1-5000, default 1000). */
+function pageParams(query) {
+  const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+  const limit = Math.min(5000, Math.max(1, parseInt(query.limit, 10) || 1000));
+  return { offset, limit };
+}
 
 app.use(requireAuth);
 app.use(express.json({ limit: '10mb' }));
@@ -162,98 +207,262 @@ app.post('/api/browser-cleanup', (req, res) => {
   }
 });
 
-const NOMINATIM_DELAY_MS = 1100; // 1 req/sec (Nominatim usage policy)
-const USER_AGENT = 'AddressPlotter/1.0 (local CSV geocoding tool)';
-const GOOGLE_API_KEY = process.env.GOOGLE_GEOCODING_API_KEY || '';
+// Providers tried in order until one finds the address (GEOCODERS env; see lib/geocoders.js)
+const geocoder = createGeocoderChain(geocoderNamesFromEnv());
+console.log(`[geocode] Providers: ${geocoder.providers.join(' → ')}`);
 
-// Cache geocode results (Nominatim policy requires caching; also speeds up duplicate addresses)
-const geocodeCache = new Map();
+// Cache geocode results (Nominatim policy requires caching; also speeds up duplicate addresses).
+// Persisted under DATA_DIR so lookups survive restarts; misses expire sooner so they get retried.
+const geocodeCache = createGeocodeCache(path.join(DATA_DIR, 'geocode-cache.ndjson'), {
+  legacyFile: path.join(DATA_DIR, 'geocode-cache.json'),
+  ttlDays: parseFloat(process.env.GEOCODE_CACHE_TTL_DAYS || '365'),
+  missTtlDays: parseFloat(process.env.GEOCODE_CACHE_MISS_TTL_DAYS || '7'),
+});
 
 function cacheKey(query) {
   return query.trim().toLowerCase().replace(/\s+/g, ' ');
 }
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+// Lookups in progress by cache key
+const inFlight = new Map();
 
-async function geocodeWithGoogle(query) {
-  const q = encodeURIComponent(query);
-  const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${q}&key=${GOOGLE_API_KEY}`;
-  const res = await fetch(url);
-  if (!res.ok) return { lat: null, lng: null, display_name: null };
-  const data = await res.json();
-  if (data.status !== 'OK' || !Array.isArray(data.results) || data.results.length === 0) {
-    return { lat: null, lng: null, display_name: null };
+/**
+ * Geocode a query, using the cache when possible.
+ * @param {string} query - Address sent to the geocoder
+ * @param {string} [canonical] - Canonical form of the address (see canonicalAddress); used as the cache key
+ *   so spelling variants of the same address share one lookup
+ * @param {{ country?: string, components?: Object, refresh?: boolean }} [options] - ISO country code to restrict
+ *   results to; address components for a structured query (see lib/geocoders.js); refresh to skip the cache read
+ *   (the new result still replaces the cached one)
+ * @returns {Promise<{ lat, lng, display_name, precision, confidence, provider, status, error }>} - `provider` is the
+ *   one that found the address, else null; `precision`/`confidence` describe the match quality and `status` is `ok`,
+ *   `zero_results` or `error` (see lib/geocoders.js)
+ */
+async function geocodeOne(query, canonical = query, options = {}) {
+  const key = cacheKey(canonical);
+  const cached = options.refresh ? undefined : geocodeCache.get(key);
+  if (cached !== undefined) {
+    const { lat, lng, display_name, precision = null, confidence = null } = cached;
+    const found = lat != null;
+    return {
+      lat, lng, display_name, precision, confidence, provider: found ? cached.provider : null,
+      status: found ? 'ok' : 'zero_results', error: null,
+    };
   }
-  const [first] = data.results;
-  const loc = first.geometry?.location;
-  return {
-    lat: loc ? parseFloat(loc.lat) : null,
-    lng: loc ? parseFloat(loc.lng) : null,
-    display_name: first.formatted_address || null,
-  };
+
+  // Rows are geocoded in parallel, so the same address may already be on its way
+  if (inFlight.has(key)) return inFlight.get(key);
+  const pending = geocoder.geocode(query, options).then((result) => {
+    // A provider failure isn't a miss: leave it uncached so the next run tries again
+    if (result.status !== 'error') geocodeCache.set(key, result, { provider: result.provider || 'none', query });
+    return result;
+  }).finally(() => inFlight.delete(key));
+  inFlight.set(key, pending);
+  return pending;
 }
 
-async function geocodeWithNominatim(query) {
-  const q = encodeURIComponent(query);
-  const url = `https://nominatim.openstreetmap.org/search?q=${q}&format=json&limit=1`;
-  const res = await fetch(url, {
-    headers: { 'User-Agent': USER_AGENT },
-  });
-  if (!res.ok) return { lat: null, lng: null, display_name: null };
-  const data = await res.json();
-  if (!Array.isArray(data) || data.length === 0) return { lat: null, lng: null, display_name: null };
-  const [first] = data;
-  return {
-    lat: parseFloat(first.lat),
-    lng: parseFloat(first.lon),
-    display_name: first.display_name || null,
-  };
+// Reverse lookups share the cache under a "reverse:" key; 5 decimals is about a meter
+function reverseCacheKey(lat, lng) {
+  return `reverse:${lat.toFixed(5)},${lng.toFixed(5)}`;
 }
 
-async function geocodeOne(query) {
-  const key = cacheKey(query);
+/**
+ * Address nearest a point, through the same providers and cache as geocodeOne.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<{ lat, lng, display_name, precision, confidence, provider, status, error }>} - lat/lng are the
+ *   matched address's position
+ */
+async function reverseGeocodeOne(lat, lng) {
+  const key = reverseCacheKey(lat, lng);
   const cached = geocodeCache.get(key);
-  if (cached !== undefined) return cached;
+  if (cached !== undefined) {
+    const found = cached.lat != null;
+    return {
+      lat: cached.lat, lng: cached.lng, display_name: cached.display_name, precision: cached.precision ?? null,
+      confidence: cached.confidence ?? null, provider: found ? cached.provider : null,
+      status: found ? 'ok' : 'zero_results', error: null,
+    };
+  }
+  if (inFlight.has(key)) return inFlight.get(key);
+  const pending = geocoder.reverse(lat, lng).then((result) => {
+    if (result.status !== 'error') geocodeCache.set(key, result, { provider: result.provider || 'none', query: `${lat},${lng}` });
+    return result;
+  }).finally(() => inFlight.delete(key));
+  inFlight.set(key, pending);
+  return pending;
+}
+
+// Address at a point, e.g. for a pin placed by hand. Query: lat, lng
+app.get('/api/reverse-geocode', asyncRoute(async (req, res) => {
+  const lat = Number(req.query.lat);
+  const lng = Number(req.query.lng);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return res.status(400).json({ error: 'lat and lng must be valid coordinates' });
+  }
+  res.json(await reverseGeocodeOne(lat, lng));
+}));
 
-  const result = GOOGLE_API_KEY
-    ? await geocodeWithGoogle(query)
-    : await geocodeWithNominatim(query);
+// --- Geocode cache admin ---
 
-  geocodeCache.set(key, result);
-  return result;
+// Filter from query params: ?q=&provider=&expired=true|false
+function cacheFilter(query) {
+  const filter = { q: String(query.q || ''), provider: String(query.provider || '') };
+  if (query.expired === 'true' || query.expired === 'false') filter.expired = query.expired === 'true';
+  return filter;
 }
 
-// Parse CSV upload — tolerate BOM, inconsistent columns, and common encodings
-app.post('/api/parse', upload.single('file'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+// Entry counts (total, expired, per provider)
+app.get('/api/geocode-cache/stats', (req, res) => {
+  res.json(geocodeCache.stats());
+});
+
+// Search entries, newest first. Query: q?, provider?, expired?, limit? (max 1000), offset?
+app.get('/api/geocode-cache', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  res.json(geocodeCache.search({ ...cacheFilter(req.query), limit, offset }));
+});
+
+// Download all entries as JSON (for POST /api/geocode-cache/import on another machine)
+app.get('/api/geocode-cache/export', (req, res) => {
+  res.setHeader('Content-Disposition', 'attachment; filename="geocode-cache.json"');
+  res.json(geocodeCache.exportAll());
+});
+
+// Merge exported entries. Body: { entries, overwrite? } (the export file as-is works)
+app.post('/api/geocode-cache/import', (req, res) => {
+  const { entries, overwrite } = req.body || {};
   try {
-    let text = req.file.buffer.toString('utf-8');
-    // Strip BOM (Excel and others often add it)
-    if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
-    const rows = parse(text, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true,
-      bom: true,
-      relax_column_count: true,
-      relax_quotes: true,
-    });
-    const headers = rows.length ? Object.keys(rows[0]) : [];
-    const filename = req.file.originalname || req.file.name || 'upload.csv';
-    res.json({ headers, rows, filename });
+    res.json({ ok: true, ...geocodeCache.importEntries(entries, { overwrite: !!overwrite }) });
   } catch (e) {
-    res.status(400).json({
-      error: 'Invalid CSV',
-      detail: e.message || String(e),
-    });
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Delete one entry by its key
+app.delete('/api/geocode-cache/entry/:key', (req, res) => {
+  if (!geocodeCache.remove(req.params.key)) return res.status(404).json({ error: 'Entry not found' });
+  res.json({ ok: true });
+});
+
+// Purge entries matching q/provider/expired; with no filter, ?all=true is required to clear everything
+app.delete('/api/geocode-cache', (req, res) => {
+  const filter = cacheFilter(req.query);
+  if (!filter.q && !filter.provider && filter.expired === undefined && req.query.all !== 'true') {
+    return res.status(400).json({ error: 'Give q, provider or expired, or all=true to clear the whole cache' });
+  }
+  res.json({ ok: true, removed: geocodeCache.purge(filter) });
+});
+
+// Column mapping for a parsed sheet: a preset whose header signature matches supplies it; otherwise suggest one
+// from headers/values
+function sheetMapping(headers, rows) {
+  const preset = presetStore.detect(headers);
+  return { mapping: preset ? preset.mapping : suggestColumnMapping(headers, rows), preset: preset ? preset.name : null };
+}
+
+// Optional CSV overrides (multipart fields, JSON body or query): encoding (see ENCODINGS) and delimiter (comma,
+// semicolon, tab)
+function readCsvFormat(params) {
+  const encoding = normalizeEncoding(params.encoding);
+  if (encoding === null) return { error: `Unsupported encoding "${params.encoding}"; use one of ${ENCODINGS.join(', ')}` };
+  const delimiter = normalizeDelimiter(params.delimiter);
+  if (delimiter === null) return { error: `Unsupported delimiter "${params.delimiter}"; use one of ${Object.keys(DELIMITERS).join(', ')}` };
+  return { format: { encoding, delimiter } };
+}
+
+// An upload as the app sees it: each sheet's headers, first rows (`rows`), row count and column mapping
+function uploadResponse(upload) {
+  const sheets = upload.sheets.map((sheet, sheetIndex) => ({
+    uploadId: upload.id,
+    sheetIndex,
+    filename: sheet.filename,
+    sheetName: sheet.sheetName,
+    headers: sheet.headers,
+    rows: sheet.preview,
+    rowCount: sheet.rowCount,
+    ...sheetMapping(sheet.headers, sheet.preview),
+  }));
+  if (upload.kind === 'workbook') return { uploadId: upload.id, filename: upload.filename, sheets };
+  return { ...sheets[0], encoding: upload.encoding, delimiter: upload.delimiter };
+}
+
+// Store and parse an upload (up to UPLOAD_MAX_MB). The file stays on the server: the response has each sheet's first
+// rows for the mapping step, and geocoding jobs read the rest from the stored upload.
+// CSV → { uploadId, sheetIndex, filename, headers, rows, rowCount, encoding, delimiter, mapping, preset }; the encoding
+// and delimiter are detected unless given as fields/query params. Excel workbook (.xlsx/.xls) →
+// { uploadId, filename, sheets: [{ uploadId, sheetIndex, filename, sheetName, headers, rows, rowCount, mapping, preset }] },
+// one per worksheet with a header row; with several worksheets, each filename is "<workbook> - <worksheet>.xlsx" so
+// layers and exports get distinct names.
+app.post('/api/parse', receiveUpload, asyncRoute(async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+  const { error: formatError, format } = readCsvFormat({ ...req.query, ...req.body });
+  if (formatError) {
+    fs.rmSync(req.file.path, { force: true });
+    return res.status(400).json({ error: formatError });
   }
+  const { error, detail, upload } = await uploadStore.create(req.file, format);
+  if (error) return res.status(400).json({ error, detail });
+  res.json(uploadResponse(upload));
+}));
+
+// Rows pasted as text (tab- or comma-separated, e.g. copied out of Excel), stored like an upload. Body: { text,
+// filename? (sheet name), header? (true, false or "auto" (default) to guess whether the first row holds column names),
+// delimiter? }. Response as /api/parse for a CSV.
+app.post('/api/parse-text', asyncRoute(async (req, res) => {
+  const { text, filename, header = 'auto' } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'Paste some rows first' });
+  if (filename != null && typeof filename !== 'string') return res.status(400).json({ error: 'filename must be a string' });
+  if (header !== 'auto' && typeof header !== 'boolean') return res.status(400).json({ error: 'header must be true, false or "auto"' });
+  const { error: formatError, format } = readCsvFormat({ delimiter: req.body.delimiter });
+  if (formatError) return res.status(400).json({ error: formatError });
+  const { error, detail, upload } = await uploadStore.createFromText(text, {
+    filename: filename?.trim() || undefined,
+    header,
+    delimiter: format.delimiter,
+  });
+  if (error) return res.status(400).json({ error, detail });
+  res.json(uploadResponse(upload));
+}));
+
+app.get('/api/uploads/:id', (req, res) => {
+  const upload = uploadStore.get(req.params.id);
+  if (!upload) return res.status(404).json({ error: 'Upload not found' });
+  res.json(uploadResponse(upload));
 });
 
-// Save KML to project root for the add-to-mymaps script. Body: { kml: string }
-app.post('/api/save-kml', (req, res) => {
-  const { kml } = req.body || {};
+// Parse a stored CSV again with another encoding or delimiter. Body: { encoding?, delimiter? }; response as /api/parse
+app.post('/api/uploads/:id/reparse', asyncRoute(async (req, res) => {
+  if (!uploadStore.get(req.params.id)) return res.status(404).json({ error: 'Upload not found' });
+  const { error: formatError, format } = readCsvFormat(req.body || {});
+  if (formatError) return res.status(400).json({ error: formatError });
+  const { error, detail, upload } = await uploadStore.reparse(req.params.id, format);
+  if (error) return res.status(400).json({ error, detail });
+  res.json(uploadResponse(upload));
+}));
+
+// Page through a stored sheet's rows: ?offset=0&limit=1000 → { offset, total, rows }
+app.get('/api/uploads/:id/sheets/:sheet/rows', asyncRoute(async (req, res) => {
+  const upload = uploadStore.get(req.params.id);
+  const sheetIndex = parseInt(req.params.sheet, 10);
+  const sheet = upload?.sheets[sheetIndex];
+  if (!sheet) return res.status(404).json({ error: 'Upload not found' });
+  const { offset, limit } = pageParams(req.query);
+  res.json({ offset, total: sheet.rowCount, rows: await uploadStore.page(upload.id, sheetIndex, offset, limit) });
+}));
+
+// Save KML to project root for the add-to-mymaps script. Body: { kml: string }, or { jobId, ...the options of
+// /api/geocode-jobs/:id/export.kml } to save a geocoding job's pins
+app.post('/api/save-kml', asyncRoute(async (req, res) => {
+  const { kml, jobId } = req.body || {};
+  if (jobId != null) {
+    const job = jobManager.get(String(jobId));
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    const options = exportOptions(job, req.body);
+    await pipeline(Readable.from(kmlDocument(exportRows(job, options.minConfidence), options)), fs.createWriteStream(EXPORT_KML_PATH));
+    return res.json({ ok: true, path: EXPORT_KML_PATH });
+  }
   if (typeof kml !== 'string') return res.status(400).json({ error: 'Missing kml string' });
   try {
     fs.writeFileSync(EXPORT_KML_PATH, kml, 'utf-8');
@@ -261,47 +470,525 @@ app.post('/api/save-kml', (req, res) => {
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
+}));
+
+const profileStore = createProfileStore(path.join(DATA_DIR, 'cleaning-profiles.json'));
+
+// List cleaning profiles (built-in "default" first)
+app.get('/api/cleaning-profiles', (req, res) => {
+  res.json({ profiles: profileStore.list() });
+});
+
+// Create or replace a cleaning profile. Body: { rules: [{ name, pattern, flags, action, replacement, enabled }] }
+app.put('/api/cleaning-profiles/:name', (req, res) => {
+  try {
+    const profile = profileStore.save(req.params.name, (req.body || {}).rules);
+    res.json({ ok: true, profile });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/cleaning-profiles/:name', (req, res) => {
+  if (!profileStore.remove(req.params.name)) return res.status(404).json({ error: 'Profile not found' });
+  res.json({ ok: true });
+});
+
+const presetStore = createPresetStore(path.join(DATA_DIR, 'import-presets.json'));
+
+// List import presets (built-in "sales-i" first)
+app.get('/api/import-presets', (req, res) => {
+  res.json({ presets: presetStore.list() });
+});
+
+// Create or replace an import preset. Body: { headers, mapping, popupColumns?, profile?, defaultState? }
+app.put('/api/import-presets/:name', (req, res) => {
+  const { profile } = req.body || {};
+  if (profile && !profileStore.getRules(profile)) return res.status(400).json({ error: `Unknown cleaning profile "${profile}"` });
+  try {
+    const preset = presetStore.save(req.params.name, req.body);
+    res.json({ ok: true, preset });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/import-presets/:name', (req, res) => {
+  if (!presetStore.remove(req.params.name)) return res.status(404).json({ error: 'Preset not found' });
+  res.json({ ok: true });
+});
+
+const overrideStore = createOverrideStore(path.join(DATA_DIR, 'location-overrides.json'));
+
+// List manual location overrides, newest first. Query: q? (account ID, address or note)
+app.get('/api/location-overrides', (req, res) => {
+  res.json({ overrides: overrideStore.list({ q: String(req.query.q || '') }) });
+});
+
+// Create or replace an override. Body: { accountId?, canonicalAddress?, lat, lng, snappedAddress?, note? } — keyed
+// by accountId when given, else by canonicalAddress
+app.post('/api/location-overrides', (req, res) => {
+  try {
+    res.json({ ok: true, override: overrideStore.set(req.body || {}) });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/location-overrides/:key', (req, res) => {
+  if (!overrideStore.remove(req.params.key)) return res.status(404).json({ error: 'Override not found' });
+  res.json({ ok: true });
+});
+
+// Try unsaved rules against sample addresses. Body: { rules, samples?: string[], rows?, mapping?, addressKeys?, state? }
+// Longest sample address /api/cleaning-profiles-test will run the rules on
+const MAX_TEST_SAMPLE_LENGTH = 500;
+
+app.post('/api/cleaning-profiles-test', (req, res) => {
+  const { rules, samples, rows, mapping, addressKeys, state = 'MI' } = req.body || {};
+  let validRules;
+  let validMapping;
+  try {
+    validRules = validateRules(rules);
+    validMapping = mapping == null ? null : normalizeMapping(mapping);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const sampleRows = Array.isArray(rows) ? rows.filter(isPlainRow) : [];
+  const { keys, columns } = resolveAddressColumns(sampleRows, validMapping, addressKeys);
+  const inputs = Array.isArray(samples) && samples.length
+    ? samples.map(String)
+    : sampleRows.map((row) => buildAddressForRow(row, keys, state, columns).address);
+  const tested = inputs.slice(0, 200);
+  if (tested.some((raw) => raw.length > MAX_TEST_SAMPLE_LENGTH)) {
+    return res.status(400).json({ error: `Samples must be at most ${MAX_TEST_SAMPLE_LENGTH} characters` });
+  }
+  const results = tested.map((raw) => ({ raw, ...cleanAddressWithAudit(raw, validRules) }));
+  res.json({ results });
+});
+
+/**
+ * Build, clean and parse one row's address.
+ * `cleanedAddress` (the geocoder query) excludes any suite/unit, which is returned separately as `unit`.
+ * `cleaningAudit` lists each cleaning rule that fired and the text it removed; `canonicalAddress` is the
+ * USPS-normalized form used as the geocode cache key and for duplicate detection.
+ * `resolvedState`/`stateSource` record the row's state and where it came from (column, address, postcode or
+ * default); `defaultState` is only used when nothing can be inferred. `country` (ISO code) restricts the geocoder.
+ * `components` (street, city, state, postcode) feed structured geocoder queries and are not part of the output row.
+ */
+function cleanRow(row, keys, defaultState, rules, columns = {}) {
+  const parsed = parseAddressFromRow(row, keys, defaultState, { rules, ...columns });
+  return {
+    components: { street: parsed.street, city: parsed.city, state: parsed.state, postcode: parsed.postcode },
+    cleanedAddress: parsed.cleaned,
+    unit: parsed.unit,
+    cleaningAudit: parsed.removed,
+    canonicalAddress: parsed.cleaned ? canonicalAddress(parsed) : '',
+    resolvedState: parsed.state,
+    stateSource: parsed.stateSource,
+    country: parsed.country,
+  };
+}
+
+/** Set `duplicateOf` on each row: 1-based number of the first row with the same canonical address, else null. */
+function markDuplicates(rows) {
+  const firstIndex = new Map();
+  rows.forEach((row, i) => {
+    const key = row.canonicalAddress;
+    row.duplicateOf = key && firstIndex.has(key) ? firstIndex.get(key) + 1 : null;
+    if (key && !firstIndex.has(key)) firstIndex.set(key, i);
+  });
+  return rows;
+}
+
+/**
+ * Address columns and state/country columns for a request: the confirmed column mapping if sent, else explicit
+ * addressKeys, else a mapping suggested from the rows' headers (see lib/columnMapping.js). `roles` is the mapping
+ * used (null for plain addressKeys).
+ */
+function resolveAddressColumns(rows, mapping, addressKeys) {
+  if (!mapping && addressKeys && addressKeys.length) return { keys: addressKeys, columns: {}, roles: null };
+  const m = mapping || suggestColumnMapping(Object.keys(rows[0] || {}), rows);
+  return { keys: mappingToAddressKeys(m), columns: { stateColumn: m.state || '', countryColumn: m.country || '' }, roles: m };
+}
+
+/**
+ * Geocode a cleaned row. When the full address finds nothing, progressively relaxed queries are tried (see
+ * relaxedAddressQueries) so the row gets an approximate pin instead of none.
+ * `relaxation` records the level that matched (`full`, `primary-line`, `street-postcode`, `town-postcode`; null if
+ * nothing did) and `geocodeQuery` the query that matched. When nothing matched, `geocodeStatus` is `error` if any
+ * attempt failed (with the first failure in `geocodeError`), else `zero_results`.
+ * @param {Object} row - Original CSV row
+ * @param {Object} cleaned - cleanRow output
+ * @param {Object} components - cleanRow address components, for structured queries on the full address
+ * @param {{ keys: string[], columns: Object, roles: Object|null, state: string, rules: Object[], refresh?: boolean }} ctx -
+ *   refresh: skip cached results
+ */
+async function geocodeRow(row, cleaned, components, ctx) {
+  const options = { country: cleaned.country, refresh: !!ctx.refresh };
+  // The mapped town column is more reliable than the town picked out of the joined address
+  const city = (ctx.roles?.city && String(row[ctx.roles.city] ?? '').trim()) || components.city;
+  let result = await geocodeOne(cleaned.cleanedAddress, cleaned.canonicalAddress, { ...options, components: { ...components, city } });
+  if (result.lat != null) return { ...result, relaxation: 'full', geocodeQuery: cleaned.cleanedAddress };
+  let error = result.error;
+
+  const relaxed = relaxedAddressQueries(row, ctx.keys, ctx.roles, ctx.state, { rules: ctx.rules, ...ctx.columns });
+  for (const { level, query } of relaxed) {
+    result = await geocodeOne(query, query, options);
+    if (result.lat != null) return { ...result, relaxation: level, geocodeQuery: query };
+    error = error || result.error;
+  }
+  return { ...result, status: error ? 'error' : 'zero_results', error, relaxation: null, geocodeQuery: null };
+}
+
+// A row as sent in a request body: an object of column → value (not null, an array or a scalar)
+function isPlainRow(row) {
+  return row !== null && typeof row === 'object' && !Array.isArray(row);
+}
+
+/**
+ * Validate a geocoding request and resolve what every row needs: address columns, default state and cleaning
+ * rules. Body fields as for /api/clean-and-geocode.
+ * @returns {{ error: string } | { ctx: { keys, columns, roles, state, rules } }}
+ */
+function resolveGeocodeRequest({ rows = [], addressKeys, ...body }) {
+  if (!Array.isArray(rows) || !rows.length) return { error: 'No rows' };
+  if (!rows.every(isPlainRow)) return { error: 'Each row must be an object of column values' };
+  const preset = body.preset ? presetStore.get(body.preset) : null;
+  if (body.preset && !preset) return { error: `Unknown import preset "${body.preset}"` };
+  let mapping = preset?.mapping;
+  if (body.mapping != null) {
+    try {
+      mapping = normalizeMapping(body.mapping);
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+  const profile = body.profile ?? preset?.profile;
+  const state = body.state || preset?.defaultState || 'MI';
+  const rules = profileStore.getRules(profile);
+  if (!rules) return { error: `Unknown cleaning profile "${profile}"` };
+  // Checked again in case the profile was saved under looser checks: a bad pattern fails the request, not each row
+  try {
+    validateRules(rules);
+  } catch (e) {
+    return { error: `Cleaning profile "${profile}": ${e.message}` };
+  }
+
+  const { keys, columns, roles } = resolveAddressColumns(rows, mapping, addressKeys);
+  if (!keys.length) return { error: 'No address columns mapped' };
+  return { ctx: { keys, columns, roles, state, rules } };
+}
+
+/**
+ * Clean and geocode one row into the output shape (input columns plus cleaning and geocoding fields). A manual
+ * location override for the row's account (mapped accountId column) or canonical address wins over the geocoders
+ * unless `ctx.ignoreOverride` is set; such rows get `manuallyPlaced: true`, `locationOverride` (the override's key)
+ * and `snappedAddress` (the address found at the pin by /api/reverse-geocode when it was placed), which is also
+ * their display_name.
+ */
+async function processRow(row, ctx) {
+  const { components, ...cleaned } = cleanRow(row, ctx.keys, ctx.state, ctx.rules, ctx.columns);
+  const accountId = ctx.roles?.accountId ? row[ctx.roles.accountId] : '';
+  const override = !ctx.ignoreOverride && overrideStore.find({ accountId, canonicalAddress: cleaned.canonicalAddress });
+  if (override) {
+    return {
+      ...row, ...cleaned, lat: override.lat, lng: override.lng, display_name: override.snappedAddress || null,
+      precision: 'rooftop', confidence: 1, provider: 'manual', relaxation: null, geocodeQuery: null,
+      geocodeStatus: 'ok', geocodeError: null, manuallyPlaced: true, locationOverride: override.key,
+      snappedAddress: override.snappedAddress || null,
+    };
+  }
+  if (!cleaned.cleanedAddress) {
+    return {
+      ...row, ...cleaned, lat: null, lng: null, display_name: null, precision: null, confidence: null, provider: null,
+      relaxation: null, geocodeQuery: null, geocodeStatus: null, geocodeError: null, manuallyPlaced: false,
+      locationOverride: null, snappedAddress: null,
+    };
+  }
+  const { lat, lng, display_name, precision, confidence, provider, relaxation, geocodeQuery, status, error } = await geocodeRow(row, cleaned, components, ctx);
+  return {
+    ...row, ...cleaned, lat, lng, display_name, precision, confidence, provider, relaxation, geocodeQuery,
+    geocodeStatus: status, geocodeError: error, manuallyPlaced: false, locationOverride: null, snappedAddress: null,
+  };
+}
+
+/** Map over items with at most `limit` calls in flight, keeping order. */
+async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+// Clean and geocode rows in one request (for small sheets and scripts; the app uses /api/geocode-jobs).
+// Body: { rows, mapping? (see /api/parse), addressKeys?, state? (default when a row's state can't be inferred), profile?,
+//   preset? (import preset whose mapping, profile and default state are used for any of those not sent) }
+app.post('/api/clean-and-geocode', asyncRoute(async (req, res) => {
+  const { error, ctx } = resolveGeocodeRequest(req.body || {});
+  if (error) return res.status(400).json({ error });
+  // A few rows at a time; providers rate-limit and retry their own requests (see lib/geocoders.js)
+  const out = await mapWithConcurrency(req.body.rows, GEOCODE_CONCURRENCY, (row) => processRow(row, ctx));
+  res.json({ rows: markDuplicates(out) });
+}));
+
+// Re-geocode one row, e.g. after fixing its address in the review panel. Skips cached results so a fresh lookup is
+// made. Body: { row, addressEdited? (the address was changed by hand: geocode it even if a saved location override
+// matches the row's account), ...the other /api/clean-and-geocode fields }
+app.post('/api/geocode-row', asyncRoute(async (req, res) => {
+  const { row, addressEdited, ...body } = req.body || {};
+  if (!isPlainRow(row)) return res.status(400).json({ error: 'Missing row' });
+  const { error, ctx } = resolveGeocodeRequest({ ...body, rows: [row] });
+  if (error) return res.status(400).json({ error });
+  res.json({ row: await processRow(row, { ...ctx, refresh: true, ignoreOverride: !!addressEdited }) });
+}));
+
+// --- Background geocoding jobs ---
+
+const jobManager = createJobManager({
+  dir: path.join(DATA_DIR, 'jobs'),
+  createContext(params, { uploadId, sheet }) {
+    const stored = uploadStore.get(uploadId)?.sheets[sheet];
+    if (!stored) throw new Error('The uploaded file is no longer available; upload it again');
+    // A mapping suggested without one being sent looks at the first rows, as in /api/parse
+    const { error, ctx } = resolveGeocodeRequest({ ...params, rows: stored.preview });
+    if (error) throw new Error(error);
+    return ctx;
+  },
+  readRows: ({ uploadId, sheet }) => uploadStore.rows(uploadId, sheet),
+  runRow: (ctx, row) => processRow(row, ctx),
+  finalize: markDuplicates,
+  concurrency: GEOCODE_CONCURRENCY,
+});
+
+// Start a job over a stored upload's sheet. Body: { upload: { id, sheet? } (from /api/parse), ...the other
+// /api/clean-and-geocode fields, meta? (returned with the job, e.g. { filename }) }. API clients may send `rows`
+// instead of `upload`; they are stored as an upload first.
+app.post('/api/geocode-jobs', asyncRoute(async (req, res) => {
+  const { meta = {}, upload: ref, rows, ...params } = req.body || {};
+  let source;
+  let total;
+  if (ref) {
+    const sheet = parseInt(ref.sheet ?? 0, 10);
+    const stored = uploadStore.get(ref.id)?.sheets[sheet];
+    if (!stored) return res.status(404).json({ error: 'Upload not found' });
+    if (!stored.rowCount) return res.status(400).json({ error: 'No rows' });
+    const { error } = resolveGeocodeRequest({ ...params, rows: stored.preview });
+    if (error) return res.status(400).json({ error });
+    source = { uploadId: ref.id, sheet };
+    total = stored.rowCount;
+  } else {
+    if (!Array.isArray(rows)) return res.status(400).json({ error: 'Send upload: { id, sheet } or rows' });
+    const { error } = resolveGeocodeRequest({ ...params, rows });
+    if (error) return res.status(400).json({ error });
+    const stored = await uploadStore.createFromRows(rows, meta.filename);
+    source = { uploadId: stored.id, sheet: 0 };
+    total = rows.length;
+  }
+  const job = jobManager.create(source, total, params, meta);
+  res.status(201).json(jobManager.summary(job));
+}));
+
+app.get('/api/geocode-jobs', (req, res) => {
+  res.json({ jobs: jobManager.list() });
+});
+
+// Job status, with the stored upload it reads from and the rows skipped in review
+app.get('/api/geocode-jobs/:id', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json({
+    ...jobManager.summary(job),
+    upload: { id: job.source.uploadId, sheet: job.source.sheet },
+    skipped: job.skipped || [],
+  });
+});
+
+// Page through a job's rows: ?offset=0&limit=1000 → { offset, total, completed, rows }. Each row is its result, or the
+// uploaded row as-is while it hasn't been processed.
+app.get('/api/geocode-jobs/:id/results', asyncRoute(async (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  const { offset, limit } = pageParams(req.query);
+  const results = await jobManager.results(job.id, { offset, limit });
+  let inputs = [];
+  if (results.includes(null)) {
+    try {
+      inputs = await uploadStore.page(job.source.uploadId, job.source.sheet, offset, limit);
+    } catch (e) {
+      return res.status(410).json({ error: e.message });
+    }
+  }
+  const rows = results.map((row, i) => row || inputs[i]);
+  res.json({ offset, total: job.total, completed: job.completed, rows });
+}));
+
+// Server-Sent Events: `status` (summary) on connect and on every change, `row` ({ index, row, completed, total })
+// per finished row. The stream stays open after the job ends so a resumed job keeps reporting.
+app.get('/api/geocode-jobs/:id/events', (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('status', jobManager.summary(job));
+  const unsubscribe = jobManager.subscribe(job.id, send);
+  // Comment line every 25 s so proxies don't close an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
 });
 
-// Clean and geocode rows. Body: { rows, addressKeys?, state? }
-app.post('/api/clean-and-geocode', async (req, res) => {
-  const { rows = [], addressKeys, state = 'MI' } = req.body;
-  if (!rows.length) return res.status(400).json({ error: 'No rows' });
-
-  const keys = addressKeys && addressKeys.length ? addressKeys : ['Address1', 'Address2', 'Address3', 'Address4', 'Town', 'County', 'Postcode'];
-  const useGoogle = !!GOOGLE_API_KEY;
-
-  if (useGoogle) {
-    // Google: all rows in parallel (limit 3k/min; you're under 1k rows)
-    const out = await Promise.all(
-      rows.map(async (row) => {
-        const cleanedAddress = buildAndCleanAddress(row, keys, state);
-        if (!cleanedAddress) {
-          return { ...row, cleanedAddress: '', lat: null, lng: null, display_name: null };
-        }
-        const { lat, lng, display_name } = await geocodeOne(cleanedAddress);
-        return { ...row, cleanedAddress, lat, lng, display_name };
-      })
-    );
-    return res.json({ rows: out });
+// Leave a row out of the review list from now on (the review panel's Skip)
+app.post('/api/geocode-jobs/:id/rows/:index/skip', (req, res) => {
+  if (!jobManager.get(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+  if (!jobManager.skipRow(req.params.id, Number(req.params.index))) return res.status(400).json({ error: 'No such row' });
+  res.json({ ok: true });
+});
+
+// Replace a row's result with one changed in the browser (a moved pin, a re-geocoded address). Body: { row }
+app.put('/api/geocode-jobs/:id/rows/:index', (req, res) => {
+  if (!jobManager.get(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+  const { row } = req.body || {};
+  if (!isPlainRow(row)) return res.status(400).json({ error: 'Send the row as an object of column values' });
+  if (!jobManager.updateRow(req.params.id, Number(req.params.index), row)) return res.status(400).json({ error: 'No such row' });
+  res.json({ ok: true });
+});
+
+// Confidence below which a geocoded row is listed for review when no export threshold is chosen
+const REVIEW_MIN_CONFIDENCE = 0.5;
+
+// Why a processed row needs review, or null if it doesn't
+function reviewReason(row, minConfidence) {
+  if (row.lat == null || row.lng == null) {
+    if (!row.cleanedAddress) return 'No address';
+    return row.geocodeStatus === 'error' ? `Geocoder error: ${row.geocodeError || 'unknown'}` : 'Not found';
   }
+  if (row.manuallyPlaced) return null;
+  if (row.confidence != null && row.confidence < minConfidence) return `Low confidence (${row.confidence}, ${row.precision})`;
+  return null;
+}
+
+// Rows that need review, a page at a time: ?minConfidence=0.5&offset=0&limit=50 → { offset, total, items: [{ index,
+// row, reason }] }. Rows not processed yet and rows skipped in review are left out.
+app.get('/api/geocode-jobs/:id/review', asyncRoute(async (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  const { offset, limit } = pageParams(req.query);
+  const minConfidence = parseFloat(req.query.minConfidence) || REVIEW_MIN_CONFIDENCE;
+  const skipped = new Set(job.skipped);
+  const items = [];
+  let total = 0;
+  for await (const { index, row } of jobManager.scan(job.id)) {
+    if (!row || skipped.has(index)) continue;
+    const reason = reviewReason(row, minConfidence);
+    if (!reason) continue;
+    if (total >= offset && items.length < limit) items.push({ index, row, reason });
+    total++;
+  }
+  res.json({ offset, total, items });
+}));
 
-  // Nominatim: sequential with 1 req/sec when hitting API
-  const out = [];
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    const cleanedAddress = buildAndCleanAddress(row, keys, state);
-    if (!cleanedAddress) {
-      out.push({ ...row, cleanedAddress: '', lat: null, lng: null, display_name: null });
-      continue;
+// Pins for the map, without the rest of each row: → { points: [[index, lat, lng]], unpinned: [[index, name]]
+// (processed rows without a pin; ?nameColumn= names them), failed (rows the geocoders failed on) }
+app.get('/api/geocode-jobs/:id/points', asyncRoute(async (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  const nameColumn = String(req.query.nameColumn || '');
+  const points = [];
+  const unpinned = [];
+  let failed = 0;
+  for await (const { index, row } of jobManager.scan(job.id)) {
+    if (!row) continue;
+    if (row.lat != null && row.lng != null) points.push([index, row.lat, row.lng]);
+    else unpinned.push([index, rowName(row, nameColumn)]);
+    if (row.geocodeStatus === 'error') failed++;
+  }
+  res.json({ points, unpinned, failed });
+}));
+
+// A job's rows in order, as /api/geocode-jobs/:id/results gives them: the result, or the uploaded row until processed
+async function* jobRows(job) {
+  const inputs = job.status === 'done' ? null : uploadStore.rows(job.source.uploadId, job.source.sheet);
+  try {
+    for await (const { row } of jobManager.scan(job.id)) {
+      const input = inputs && (await inputs.next()).value;
+      yield row || input;
     }
-    const key = cacheKey(cleanedAddress);
-    const wasCached = geocodeCache.has(key);
-    const { lat, lng, display_name } = await geocodeOne(cleanedAddress);
-    out.push({ ...row, cleanedAddress, lat, lng, display_name });
-    if (!wasCached && i < rows.length - 1) await sleep(NOMINATIM_DELAY_MS);
+  } finally {
+    await inputs?.return();
   }
-  res.json({ rows: out });
+}
+
+// Rows that go into a job's exports: those below minConfidence are left out (rows with no confidence never are)
+async function* exportRows(job, minConfidence) {
+  for await (const row of jobRows(job)) {
+    if (minConfidence != null && row.confidence != null && row.confidence < minConfidence) continue;
+    yield row;
+  }
+}
+
+/**
+ * Export options from query parameters (or the save-kml body): name (KML document name, default the job's file
+ * name), nameColumn (placemark names), popupColumns (repeated; extra lines in descriptions), minConfidence.
+ */
+function exportOptions(job, params) {
+  const minConfidence = parseFloat(params.minConfidence);
+  return {
+    name: String(params.name || '').trim() || exportBaseName(job),
+    nameColumn: String(params.nameColumn || ''),
+    popupColumns: [].concat(params.popupColumns ?? []).map(String),
+    minConfidence: Number.isFinite(minConfidence) ? minConfidence : null,
+  };
+}
+
+// The job's file name without its extension, for export file names
+function exportBaseName(job) {
+  return String(job.meta?.filename || 'geocoded-rows').replace(/\.(csv|xlsx|xlsm|xls)$/i, '');
+}
+
+// Download a job's rows as CSV with every column found in them. ?minConfidence=
+app.get('/api/geocode-jobs/:id/export.csv', asyncRoute(async (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  const { minConfidence } = exportOptions(job, req.query);
+  const columns = await csvColumns(exportRows(job, minConfidence));
+  res.attachment(`${exportBaseName(job)}-with-lat-lng.csv`);
+  await pipeline(Readable.from(csvLines(columns, exportRows(job, minConfidence))), res);
+}));
+
+// Download a job's pins as KML. ?name=&nameColumn=&popupColumns=&minConfidence= (see exportOptions)
+app.get('/api/geocode-jobs/:id/export.kml', asyncRoute(async (req, res) => {
+  const job = jobManager.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  const options = exportOptions(job, req.query);
+  res.attachment(`${exportBaseName(job)}.kml`);
+  await pipeline(Readable.from(kmlDocument(exportRows(job, options.minConfidence), options)), res);
+}));
+
+app.post('/api/geocode-jobs/:id/cancel', (req, res) => {
+  if (!jobManager.get(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+  if (!jobManager.cancel(req.params.id)) return res.status(409).json({ error: 'Job is not running' });
+  res.json({ ok: true });
+});
+
+// Continue a cancelled or failed job from its unfinished rows
+app.post('/api/geocode-jobs/:id/resume', (req, res) => {
+  if (!jobManager.get(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+  if (!jobManager.resume(req.params.id)) return res.status(409).json({ error: 'Only cancelled or failed jobs can be resumed' });
+  res.json({ ok: true });
 });
 
 // Run list-mymaps script and return map list (for in-app picker). Browser will open briefly.
@@ -435,5 +1122,22 @@ app.post('/api/mymaps-import', (req, res) => {
   req.setTimeout(MYMAPS_IMPORT_TIMEOUT_MS);
 });
 
+// Errors from route handlers (see asyncRoute): log them and answer with a 500 instead of an HTML error page
+app.use((err, req, res, next) => {
+  const status = err.status || 500;
+  if (status >= 500) console.error(`[server] ${req.method} ${req.path}:`, err);
+  if (res.headersSent) return next(err);
+  res.status(status).json({ error: err.message || 'Internal server error' });
+});
+
 const PORT = process.env.PORT || 3000;
+// Write pending cache entries and job progress before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    geocodeCache.flush();
+    jobManager.flush();
+    process.exit(0);
+  });
+}
+
 app.listen(PORT, () => console.log(`Address Plotter at http://localhost:${PORT}`));